@@ -1,6 +1,50 @@
 'use strict';
 
 import MainLoop from 'mainloop.js';
+import { nanoid } from 'nanoid';
+
+import { History } from './History';
+import {
+  getCubicBounds,
+  getCubicLength,
+  getCubicParamAtLength,
+  getCubicPoint,
+  getCubicQuadratics,
+  getCubicTangentAngle,
+  getDistance,
+  getFlatCubicParams,
+  getNearestCubicT,
+  lerpPoint,
+  mergeCubics,
+  splitCubic,
+} from '../utils/bezier';
+import { parseSVG } from '../utils/svg';
+import {
+  GCodeCurves,
+  GCodeTools,
+  GCodeUnits,
+  getGCode,
+  orderToolpaths,
+} from '../utils/gcode';
+import { DXFEntities, DXFUnits, getDXF } from '../utils/dxf';
+import { getPDF, PageUnits } from '../utils/pdf';
+import { getLottie } from '../utils/lottie';
+import { CodeLanguages, getCode } from '../utils/code';
+import {
+  AngleDirections,
+  AngleUnits,
+  CoordinateUnits,
+  getExportTransform,
+  getImportTransform,
+  getUnitScale,
+} from '../utils/coordinates';
+import {
+  applyMatrix,
+  identityMatrix,
+  rotationMatrix,
+  scalingMatrix,
+  translationMatrix,
+} from '../utils/transform';
 
 export const ToolTypes = {
   TRANSFORM_REFERENCE: 0,
@@ -9,37 +53,172 @@ export const ToolTypes = {
   EDIT_POINTS: 3,
   EDIT_CONTROLS: 4,
   EDIT_ORIGIN_POINT: 54,
+  INSERT_POINTS: 5,
+  SELECT_POINTS: 6,
+};
+
+// single key shortcuts for selecting tools
+export const ToolHotkeys = {
+  r: ToolTypes.TRANSFORM_REFERENCE,
+  v: ToolTypes.SELECT_POINTS,
+  a: ToolTypes.ADD_POINTS,
+  i: ToolTypes.INSERT_POINTS,
+  d: ToolTypes.DELETE_POINTS,
+  p: ToolTypes.EDIT_POINTS,
+  c: ToolTypes.EDIT_CONTROLS,
+  o: ToolTypes.EDIT_ORIGIN_POINT,
 };
 
+// tools that show the active group's points
+const pointTools = [
+  ToolTypes.ADD_POINTS,
+  ToolTypes.INSERT_POINTS,
+  ToolTypes.DELETE_POINTS,
+  ToolTypes.EDIT_POINTS,
+];
+
 // using string values to make these compatible with input value properties
 export const ExportFormats = {
   SVG: 'svg',
   JSON: 'json',
+  GCODE: 'gcode',
+  DXF: 'dxf',
+  IMAGE: 'image',
+  PDF: 'pdf',
+  LOTTIE: 'lottie',
+  CODE: 'code',
+};
+
+// which groups are exported
+export const ExportScopes = {
+  ALL: 'all',
+  ACTIVE: 'active',
+  CHECKED: 'checked',
+};
+
+// what the file names of single group exports are derived from
+export const FileNameSources = {
+  NAMES: 'names',
+  IDS: 'ids',
+};
+
+export const ImageTypes = {
+  PNG: 'png',
+  WEBP: 'webp',
 };
 
 export const JSONFormats = {
   COORDS: 'coords',
   ANGLE_DIST: 'angledist',
+  POLYLINE: 'polyline',
+  QUADRATIC: 'quadratic',
+  // versioned document with numeric values and metadata
+  SCHEMA: 'schema',
+};
+
+// how curves are sampled when flattened to points
+export const FlattenModes = {
+  COUNT: 'count',
+  TOLERANCE: 'tolerance',
+  ARC_LENGTH: 'arcLength',
+};
+
+// using string values so they can be saved directly
+export const NodeTypes = {
+  CORNER: 'corner',
+  SMOOTH: 'smooth',
+  SYMMETRIC: 'symmetric',
 };
 
 export const storageKey = 'curve-creator';
 
+// using string values so saved history entries stay readable
+const CommandTypes = {
+  ADD_POINT: 'addPoint',
+  DELETE_LAST_POINT: 'deleteLastPoint',
+  DELETE_POINT: 'deletePoint',
+  INSERT_POINT: 'insertPoint',
+  MOVE_POINT: 'movePoint',
+  MOVE_CONTROL: 'moveControl',
+  CREATE_GROUP: 'createGroup',
+  DELETE_GROUP: 'deleteGroup',
+  MOVE_ORIGIN: 'moveOrigin',
+  TRANSFORM_REFERENCE: 'transformReference',
+  SET_POSITIONS: 'setPositions',
+  SET_NODE_TYPES: 'setNodeTypes',
+  BATCH: 'batch',
+  SET_CLOSED: 'setClosed',
+  REPLACE_GROUP: 'replaceGroup',
+};
+
+// commands that only move existing positions and keep the selection valid
+const positionCommands = [
+  CommandTypes.MOVE_POINT,
+  CommandTypes.MOVE_CONTROL,
+  CommandTypes.MOVE_ORIGIN,
+  CommandTypes.TRANSFORM_REFERENCE,
+  CommandTypes.SET_POSITIONS,
+  CommandTypes.SET_NODE_TYPES,
+];
+
 const canvasWidth = 1024;
 const canvasHeight = 768;
 const markerSize = 32;
 const originSize = 64;
 const originSizeHalf = originSize * 0.5;
+const minZoom = 0.05;
+const maxZoom = 32;
+// screen space padding used when fitting the view
+const fitPadding = 32;
+// screen space distance of the rotate handle above the selection
+const rotateHandleOffset = 32;
+// rotation step used while holding shift
+const rotateStep = Math.PI / 12;
+// nudge distances for the arrow keys, without and with shift
+const nudgeStep = 1;
+const nudgeStepLarge = 10;
+// inserted points keep this far from either end of the curve, in curve time
+const insertEndT = 1e-3;
+// screen space distance within which positions snap to targets
+const snapRange = 8;
+// angle step used by the angle constraint
+const snapAngleStep = Math.PI / 12;
+// smallest screen space grid spacing that is still drawn
+const minGridSpacing = 4;
+const gridColor = 'rgba(255, 255, 255, 0.1)';
+// colors of the g-code toolpath preview
+const toolpathColor = 'rgba(0, 255, 255, 0.8)';
+const travelColor = 'rgba(255, 255, 0, 0.8)';
+// the most samples a flattened group can have, however small the spacing
+const maxFlattenSamples = 100000;
+// tolerance used when deciding whether imported control points are linked
+const linkEpsilon = 1e-3;
+// largest width or height of an exported image
+const maxImageSize = 8192;
+// version of the schema json format and where its json schema is published
+const schemaVersion = 1;
+const schemaURL =
+  'https://dtgreene.github.io/curve-creator/dist/schema/curves.v1.schema.json';
 
 let canvas, ctx;
 let activeTool = ToolTypes.TRANSFORM_REFERENCE;
+// mouse position in document space
 let mousePos = { x: 0, y: 0 };
+// mouse position in canvas space
+let screenPos = { x: 0, y: 0 };
+// maps document space to canvas space; screen = document * zoom + offset
+let view = { x: 0, y: 0, zoom: 1 };
 
 class Point {
   x = 0;
   y = 0;
-  constructor(x, y) {
+  // only used by curve points; decides how the control points on either side
+  // of the point are linked
+  nodeType = NodeTypes.CORNER;
+  constructor(x, y, nodeType = NodeTypes.CORNER) {
     this.x = x;
     this.y = y;
+    this.nodeType = nodeType;
   }
   distanceTo = (point) => {
     const a = this.x - point.x;
@@ -58,8 +237,12 @@ class Control {
 
 class CurveGroup {
   points = [];
+  // when closed, the last control connects the last point back to the first
   controls = [];
+  closed = false;
   id = null;
+  // imported groups keep the name of what they were imported from
+  name = '';
   constructor(id) {
     this.id = id;
   }
@@ -115,9 +298,25 @@ class ReferenceImage {
   setOffset = (x, y) => {
     this.offset = { x, y };
   };
-  update = () => {
-    if (!this.ready) return;
+  setTransform = ({ offset, scale }) => {
+    this.offset = { x: offset.x, y: offset.y };
+    this.scale = scale;
+  };
+  // returns the image bounds in document space, or null if there's no image
+  getBounds = () => {
+    if (!this.ready) return null;
 
+    const { x, y } = this.offset;
+
+    return {
+      minX: x,
+      minY: y,
+      maxX: x + this.image.width * this.scale,
+      maxY: y + this.image.height * this.scale,
+    };
+  };
+  // returns the transform including any changes from an in-progress drag
+  getTransform = () => {
     let scale = this.scale;
     let { x, y } = this.offset;
 
@@ -133,6 +332,15 @@ class ReferenceImage {
       }
     }
 
+    return { offset: { x, y }, scale };
+  };
+  update = () => {
+    if (!this.ready) return;
+
+    const {
+      offset: { x, y },
+      scale,
+    } = this.getTransform();
     const { width, height } = this.image;
 
     const scaledWidth = width * scale;
@@ -149,19 +357,28 @@ class ReferenceImage {
 
     // if using the transform tool
     if (activeTool === ToolTypes.TRANSFORM_REFERENCE) {
+      // keep the handles the same size on screen
+      const outlineWidth = 4 / view.zoom;
+      const marker = markerSize / view.zoom;
+
       // draw outline
       ctx.strokeStyle = this.color;
-      ctx.lineWidth = '4';
-      ctx.strokeRect(x + 2, y + 2, scaledWidth - 4, scaledHeight - 4);
+      ctx.lineWidth = outlineWidth;
+      ctx.strokeRect(
+        x + outlineWidth * 0.5,
+        y + outlineWidth * 0.5,
+        scaledWidth - outlineWidth,
+        scaledHeight - outlineWidth
+      );
 
       ctx.fillStyle = this.color;
       // draw scale markers
-      ctx.fillRect(x, y, markerSize, markerSize);
+      ctx.fillRect(x, y, marker, marker);
       ctx.fillRect(
-        x + scaledWidth - markerSize,
-        y + scaledHeight - markerSize,
-        markerSize,
-        markerSize
+        x + scaledWidth - marker,
+        y + scaledHeight - marker,
+        marker,
+        marker
       );
     }
   };
@@ -173,6 +390,7 @@ class ReferenceImage {
 
     const scaledWidth = width * this.scale;
     const scaledHeight = height * this.scale;
+    const marker = markerSize / view.zoom;
 
     // over image
     if (
@@ -183,9 +401,9 @@ class ReferenceImage {
     ) {
       // over scale marker
       if (
-        (mousePos.x < x + markerSize && mousePos.y < y + markerSize) ||
-        (mousePos.x > x + scaledWidth - markerSize &&
-          mousePos.y > y + scaledHeight - markerSize)
+        (mousePos.x < x + marker && mousePos.y < y + marker) ||
+        (mousePos.x > x + scaledWidth - marker &&
+          mousePos.y > y + scaledHeight - marker)
       ) {
         this.scaling = true;
         this.dragPosition = { x: mousePos.x, y: mousePos.y };
@@ -195,22 +413,21 @@ class ReferenceImage {
       }
     }
   };
+  cancelDrag = () => {
+    this.moving = false;
+    this.scaling = false;
+  };
+  // ends a drag and returns the resulting transform change, or null if there was none
   onMouseUp = () => {
-    if (!this.ready) return;
+    if (!this.ready || !(this.moving || this.scaling)) return null;
 
-    if (this.moving || this.scaling) {
-      const deltaX = mousePos.x - this.dragPosition.x;
-      const deltaY = mousePos.y - this.dragPosition.y;
+    const from = { offset: { ...this.offset }, scale: this.scale };
+    const to = this.getTransform();
 
-      if (this.moving) {
-        this.offset.x += deltaX;
-        this.offset.y += deltaY;
-      } else if (this.scaling) {
-        this.scale = Math.max(this.scale - deltaY * 0.01, 0.1);
-      }
-      this.moving = false;
-      this.scaling = false;
-    }
+    this.moving = false;
+    this.scaling = false;
+
+    return { from, to };
   };
 }
 
@@ -239,16 +456,157 @@ export class DrawingHelper {
   // drag variables
   dragStart = null;
   dragPoint = null;
+  // whether the dragged point leaves its control points behind
+  dragPointAlone = false;
   dragControl = null;
   dragOrigin = false;
 
+  // pan variables
+  panStart = null;
+  spaceDown = false;
+  // canvas space positions of the touch pointers that are down, by pointer id
+  touches = new Map();
+  // in-progress two finger pan and zoom
+  pinchStart = null;
+
+  // selected points as { groupId, index }
+  selection = [];
+  // in-progress move, scale, rotate or marquee of the selection
+  selectionDrag = null;
+  // whether selecting includes the inactive groups
+  selectAcrossGroups = false;
+
+  // snapping settings
+  snapping = {
+    grid: false,
+    showGrid: false,
+    gridSpacing: 32,
+    points: false,
+    origin: false,
+    reference: false,
+    angles: true,
+  };
+  // the groups every format exports; checked groups are listed by id, and the
+  // download may be split into a file per group
+  exportScope = {
+    mode: ExportScopes.ALL,
+    groupIds: [],
+    perGroup: false,
+    fileNames: FileNameSources.NAMES,
+  };
+  // coordinate system of the exported positions; the zero angle is in
+  // degrees and the scale is in units per pixel when the units are custom
+  coordinateSystem = {
+    flipY: false,
+    units: CoordinateUnits.PIXELS,
+    scale: 1,
+    zeroAngle: 0,
+    angleUnits: AngleUnits.RADIANS,
+    direction: AngleDirections.CLOCKWISE,
+    normalize: false,
+  };
+  // svg export settings; an empty stroke color uses the main color
+  svgExport = {
+    strokeWidth: 2,
+    strokeColor: '',
+    fill: 'none',
+    fitViewBox: false,
+    padding: 0,
+    originRelative: false,
+    ids: false,
+    dataAttributes: false,
+    relative: false,
+    minify: false,
+    quadratic: false,
+  };
+  // settings of the quadratic svg and json output; the tolerance is the
+  // furthest the quadratic segments may stray from the curves, in pixels
+  quadraticExport = {
+    tolerance: 0.5,
+  };
+  // settings of the flattened polyline json format
+  polylineExport = {
+    mode: FlattenModes.COUNT,
+    count: 8,
+    tolerance: 0.5,
+    spacing: 10,
+    tangents: false,
+    distances: false,
+  };
+  // g-code export settings; positions follow the coordinate system and the
+  // tolerance is in its units
+  gcodeExport = {
+    curves: GCodeCurves.LINES,
+    tolerance: 0.05,
+    feedRate: 1000,
+    tool: GCodeTools.PEN,
+    penUp: 'M5',
+    penDown: 'M3 S1000',
+    spindleSpeed: 10000,
+    safeZ: 5,
+    cutZ: -1,
+    plungeRate: 300,
+    optimizeTravel: true,
+    preview: false,
+  };
+  // the toolpaths of the preview and the groups they were ordered from
+  toolpathCache = null;
+  // dxf export settings; positions follow the coordinate system and the
+  // tolerance of flattened polylines is in its units
+  dxfExport = {
+    entities: DXFEntities.SPLINE,
+    tolerance: 0.05,
+  };
+  // pdf export settings; the page size, the position of the origin point from
+  // the top left corner and the stroke width are in page units; an empty
+  // stroke color uses the main color
+  pdfExport = {
+    units: PageUnits.MILLIMETERS,
+    width: 210,
+    height: 297,
+    originX: 105,
+    originY: 148.5,
+    strokeWidth: 0.25,
+    strokeColor: '',
+  };
+  // code snippet settings; functions wrap the code of each group
+  codeExport = {
+    language: CodeLanguages.CANVAS,
+    functions: false,
+  };
+  // lottie export settings; the duration is in seconds
+  lottieExport = {
+    trimPath: false,
+    duration: 2,
+    frameRate: 30,
+  };
+  // image export settings; the scale multiplies the document size and the
+  // padding around cropped content is in document pixels
+  imageExport = {
+    type: ImageTypes.PNG,
+    scale: 2,
+    transparent: true,
+    backgroundColor: '#ffffff',
+    crop: false,
+    padding: 0,
+    reference: false,
+  };
+  // the target the mouse position is currently snapped to
+  snapTarget = null;
+  shiftDown = false;
+
   // method passed on init for setting output messages
   setMessage = null;
+  // method passed on init for syncing editor state back to the ui
+  onChange = null;
   // reference image instance
   reference = new ReferenceImage();
+  // undo/redo history of every edit
+  history = new History();
 
-  init = (_canvas, setMessage) => {
+  init = (_canvas, setMessage, onChange) => {
     this.setMessage = setMessage;
+    this.onChange = onChange;
 
     canvas = _canvas;
     ctx = _canvas.getContext('2d');
@@ -256,10 +614,18 @@ export class DrawingHelper {
     _canvas.width = canvasWidth;
     _canvas.height = canvasHeight;
 
+    // leave touch gestures to the editor instead of scrolling the page
+    _canvas.style.touchAction = 'none';
+
     // add listeners
-    document.addEventListener('mousemove', this.handleMouseMove, false);
-    document.addEventListener('mousedown', this.handleMouseDown, false);
-    document.addEventListener('mouseup', this.handleMouseUp, false);
+    _canvas.addEventListener('pointermove', this.handlePointerMove, false);
+    _canvas.addEventListener('pointerdown', this.handlePointerDown, false);
+    _canvas.addEventListener('pointerup', this.handlePointerUp, false);
+    _canvas.addEventListener('pointercancel', this.handlePointerCancel, false);
+    _canvas.addEventListener('contextmenu', this.handleContextMenu, false);
+    document.addEventListener('keydown', this.handleKeyDown, false);
+    document.addEventListener('keyup', this.handleKeyUp, false);
+    _canvas.addEventListener('wheel', this.handleWheel, { passive: false });
     document.addEventListener(
       'visibilitychange',
       this.handleVisibilityChange,
@@ -276,235 +642,1233 @@ export class DrawingHelper {
       MainLoop.stop();
     }
   };
-  syncLastPoint = () => {
-    if (this.activeCurveGroup && this.activeCurveGroup.points.length > 1) {
-      const { points } = this.activeCurveGroup;
-      const firstPoint = points[0];
-      const lastPoint = points[points.length - 1];
+  handleKeyDown = (event) => {
+    // update the angle constraint
+    if (event.key === 'Shift') {
+      this.shiftDown = true;
+      this.updateMousePos();
+    }
+
+    // leave text fields to their own behavior
+    if (isTextInput(event.target)) return;
+
+    // holding space allows panning with the left mouse button; focused
+    // buttons and checkboxes are pressed with it instead
+    if (event.key === ' ' && isEditorTarget(event.target)) {
+      event.preventDefault();
+      this.spaceDown = true;
+      this.updateCursor();
+      return;
+    }
+
+    const key = event.key.toLowerCase();
+
+    if (event.ctrlKey || event.metaKey) {
+      if (key === 'z') {
+        event.preventDefault();
+
+        if (event.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+      } else if (key === 'y') {
+        event.preventDefault();
+        this.redo();
+      }
+      return;
+    }
+
+    if (event.altKey) return;
+
+    // focused controls keep their own navigation and editing keys
+    const editorFocused = isEditorTarget(event.target);
+
+    switch (event.key) {
+      case 'Escape': {
+        // abort an in-progress drag, otherwise drop the selection
+        if (this.isDragging() || this.panStart) {
+          this.cancelDrag();
+        } else {
+          this.clearSelection();
+        }
+        break;
+      }
+      case 'Tab': {
+        if (!editorFocused) break;
+
+        event.preventDefault();
+        this.cycleActiveGroup(event.shiftKey ? -1 : 1);
+        break;
+      }
+      case 'Delete':
+      case 'Backspace': {
+        if (!editorFocused) break;
+
+        event.preventDefault();
+        this.deleteTargetPoints();
+        break;
+      }
+      case 'ArrowUp':
+      case 'ArrowDown':
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        if (!editorFocused) break;
 
-      lastPoint.x = firstPoint.x;
-      lastPoint.y = firstPoint.y;
+        event.preventDefault();
+
+        const step = event.shiftKey ? nudgeStepLarge : nudgeStep;
+        const [dx, dy] = {
+          ArrowUp: [0, -step],
+          ArrowDown: [0, step],
+          ArrowLeft: [-step, 0],
+          ArrowRight: [step, 0],
+        }[event.key];
+
+        this.nudge(dx, dy);
+        break;
+      }
+      default: {
+        if (
+          editorFocused &&
+          ToolHotkeys[key] !== undefined &&
+          !this.isDragging()
+        ) {
+          this.setActiveTool(ToolHotkeys[key]);
+        }
+      }
     }
   };
-  deleteLastPoint = () => {
-    if (this.activeCurveGroup && this.activeCurveGroup.points.length > 0) {
-      this.activeCurveGroup.points.pop();
-      this.activeCurveGroup.controls.pop();
+  // ends any drag without committing it
+  cancelDrag = () => {
+    this.dragPoint = null;
+    this.dragControl = null;
+    this.dragOrigin = false;
+    this.dragStart = null;
+    this.selectionDrag = null;
+    this.reference.cancelDrag();
+
+    if (this.panStart) {
+      view = { ...view, x: this.panStart.viewX, y: this.panStart.viewY };
+      this.panStart = null;
+      this.updateCursor();
     }
+
+    this.updateMousePos();
   };
-  setActiveTool = (value) => {
-    activeTool = value;
+  // makes the next or previous group active
+  cycleActiveGroup = (direction) => {
+    if (this.curveGroups.length === 0 || this.isDragging()) return;
+
+    const index = this.curveGroups.findIndex(
+      ({ id }) => id === this.activeCurveGroup?.id
+    );
+    const count = this.curveGroups.length;
+    const nextIndex =
+      index === -1 ? 0 : (((index + direction) % count) + count) % count;
+
+    this.setActiveGroupId(this.curveGroups[nextIndex].id);
+    this.emitChange();
   };
-  resetReferenceTransforms = () => {
-    this.reference.resetTransforms();
+  // returns the active group's control point under the mouse in the edit
+  // controls tool, or its point under the mouse in the other tools, or null
+  getHoveredRef = () => {
+    const group = this.activeCurveGroup;
+    if (!group) return null;
+
+    if (activeTool === ToolTypes.EDIT_CONTROLS) {
+      const control = this.findControlPoint(mousePos.x, mousePos.y);
+      return control && { groupId: group.id, ...control };
+    }
+
+    const index = this.findPointIndex(mousePos.x, mousePos.y);
+    return index === -1 ? null : { groupId: group.id, index };
   };
-  deleteReferenceData = () => {
-    this.reference.clearData();
+  // moves the selected points, or else the hovered point, by the offset
+  nudge = (dx, dy) => {
+    if (this.isDragging()) return;
+
+    if (this.selection.length > 0) {
+      this.execute({
+        type: CommandTypes.SET_POSITIONS,
+        positions: this.getSelectionTargets().map((ref) => {
+          const { x, y } = this.getPosition(ref);
+          return { ...ref, from: { x, y }, to: { x: x + dx, y: y + dy } };
+        }),
+      });
+      return;
+    }
+
+    const ref = this.getHoveredRef();
+    if (!ref) return;
+
+    if (ref.controlIndex === undefined) {
+      this.execute({
+        type: CommandTypes.MOVE_POINT,
+        groupId: ref.groupId,
+        index: ref.index,
+        withControls: true,
+        dx,
+        dy,
+      });
+    } else {
+      const { x, y } = this.getPosition(ref);
+      const positions = this.getControlMovePositions(
+        this.activeCurveGroup,
+        ref.controlIndex,
+        ref.pointIndex,
+        { x: x + dx, y: y + dy }
+      );
+
+      // move the linked partner along with it
+      this.execute({
+        type: CommandTypes.SET_POSITIONS,
+        positions: positions.map(({ to, ...positionRef }) => {
+          const { x, y } = this.getPosition(positionRef);
+          return { ...positionRef, from: { x, y }, to };
+        }),
+      });
+    }
   };
-  setReferenceData = (data) => {
-    this.reference.setData(data);
+  // deletes the selected points, or else the hovered point
+  deleteTargetPoints = () => {
+    if (this.isDragging()) return;
+
+    if (this.selection.length === 0) {
+      const ref = this.getHoveredRef();
+
+      if (ref && ref.controlIndex === undefined) {
+        this.deletePoint(ref.index);
+      }
+      return;
+    }
+
+    // delete from the last point backwards so the remaining indices stay valid
+    const refs = this.selection
+      .slice()
+      .sort((ref1, ref2) => ref2.index - ref1.index);
+    const commands = refs.map(({ groupId, index }) => {
+      const command = this.getDeletePointCommand(this.getGroup(groupId), index);
+      this.applyCommand(command, false);
+      return command;
+    });
+
+    // record the deletions as one step
+    this.history.push({ type: CommandTypes.BATCH, commands });
+    this.emitChange();
   };
-  setProperty = (key, value) => {
-    this[key] = value;
+  handleKeyUp = (event) => {
+    if (event.key === 'Shift') {
+      this.shiftDown = false;
+      this.updateMousePos();
+    }
+
+    if (event.key === ' ') {
+      this.spaceDown = false;
+      this.updateCursor();
+    }
   };
-  setPointRange = (value) => {
-    this.pointRange = value;
-    this.pointRangeHalf = value * 0.5;
+  handleWheel = (event) => {
+    event.preventDefault();
+
+    // zoom around the cursor
+    this.zoomAt(
+      view.zoom * Math.exp(-event.deltaY * 0.001),
+      screenPos.x,
+      screenPos.y
+    );
   };
-  setPointSize = (value) => {
-    this.pointSize = value;
-    this.pointSizeHalf = value * 0.5;
+  // sets the zoom while keeping the document position under the given canvas
+  // position in place
+  zoomAt = (zoom, x, y) => {
+    const newZoom = Math.min(Math.max(zoom, minZoom), maxZoom);
+    const documentX = (x - view.x) / view.zoom;
+    const documentY = (y - view.y) / view.zoom;
+
+    view = {
+      x: x - documentX * newZoom,
+      y: y - documentY * newZoom,
+      zoom: newZoom,
+    };
+    this.updateMousePos();
   };
-  setReferenceOpacity = (value) => {
-    this.reference.setOpacity(value);
+  zoomIn = () => {
+    this.zoomAt(view.zoom * 1.25, canvasWidth * 0.5, canvasHeight * 0.5);
   };
-  setReferenceColor = (value) => {
-    this.reference.setColor(value);
+  zoomOut = () => {
+    this.zoomAt(view.zoom * 0.8, canvasWidth * 0.5, canvasHeight * 0.5);
   };
-  setActiveGroupId = (id) => {
-    const foundGroup = this.curveGroups.find((group) => group.id === id);
-    if (foundGroup) {
-      this.activeCurveGroup = foundGroup;
-    } else {
-      console.warn(`Unable to find curve group; Id: ${id}`);
-    }
+  resetView = () => {
+    view = { x: 0, y: 0, zoom: 1 };
+    this.updateMousePos();
   };
-  createGroup = (id) => {
-    // create new curve group
-    const newGroup = new CurveGroup(id);
-    this.curveGroups.push(newGroup);
-    // set the new group as active
-    this.activeCurveGroup = newGroup;
+  // fits the view to the given document space bounds
+  fitView = ({ minX, minY, maxX, maxY }) => {
+    const width = Math.max(maxX - minX, 1);
+    const height = Math.max(maxY - minY, 1);
+    const zoom = Math.min(
+      Math.max(
+        Math.min(
+          (canvasWidth - fitPadding * 2) / width,
+          (canvasHeight - fitPadding * 2) / height
+        ),
+        minZoom
+      ),
+      maxZoom
+    );
+
+    view = {
+      x: canvasWidth * 0.5 - (minX + width * 0.5) * zoom,
+      y: canvasHeight * 0.5 - (minY + height * 0.5) * zoom,
+      zoom,
+    };
+    this.updateMousePos();
   };
-  deleteGroup = (id) => {
-    // filter out group
-    this.curveGroups = this.curveGroups.filter((group) => group.id !== id);
-    // clear the active group if its the one deleted
-    if (this.activeCurveGroup?.id === id) {
-      this.activeCurveGroup = null;
+  fitViewToContent = () => {
+    const bounds = getGroupsBounds(this.curveGroups);
+
+    if (bounds) {
+      this.fitView(bounds);
+    } else {
+      this.setMessage('Cannot fit view; There are no points to fit.');
     }
   };
-  loadState = (state) => {
-    // origin position
-    if (state.originPos !== undefined) {
-      this.originPos = state.originPos;
-    }
-    // curve groups
-    if (state.curveGroups !== undefined) {
-      this.curveGroups = state.curveGroups.map((group) => {
-        const groupInstance = new CurveGroup(group.id);
-
-        // create point instances
-        groupInstance.points = group.points.map(({ x, y }) => new Point(x, y));
-        // create control instances
-        groupInstance.controls = group.controls.map(
-          ({ x1, y1, x2, y2 }) => new Control(x1, y1, x2, y2)
-        );
+  fitViewToReference = () => {
+    const bounds = this.reference.getBounds();
 
-        return groupInstance;
-      });
+    if (bounds) {
+      this.fitView(bounds);
+    } else {
+      this.setMessage('Cannot fit view; There is no reference image.');
     }
-    // active group id
-    if (state.activeGroupId !== undefined) {
-      this.setActiveGroupId(state.activeGroupId);
+  };
+  updateCursor = () => {
+    if (this.panStart) {
+      canvas.style.cursor = 'grabbing';
+    } else if (this.spaceDown) {
+      canvas.style.cursor = 'grab';
+    } else {
+      canvas.style.cursor = '';
     }
-    // reference
-    if (state.reference !== undefined) {
-      const { scale, offset, opacity, color, data } = state.reference;
-      this.reference.setScale(scale);
-      this.reference.setOffset(offset.x, offset.y);
-      this.reference.setOpacity(opacity);
-      this.reference.setColor(color);
+  };
+  // syncs the editor state back to the ui
+  emitChange = () => {
+    if (!this.onChange) return;
 
-      // possible to save the image
-      if (data) {
-        this.reference.setData(data);
-      }
-    }
-    // active tool
-    if (state.activeTool !== undefined) {
-      activeTool = state.activeTool;
+    this.onChange({
+      curveGroupIds: this.curveGroups.map(({ id }) => id),
+      activeGroupId: this.activeCurveGroup?.id ?? null,
+      activeGroupClosed: this.activeCurveGroup?.closed ?? false,
+      activeTool,
+      canUndo: this.history.canUndo(),
+      canRedo: this.history.canRedo(),
+    });
+  };
+  isDragging = () =>
+    this.dragPoint !== null ||
+    this.dragControl !== null ||
+    this.dragOrigin ||
+    this.selectionDrag !== null ||
+    this.reference.moving ||
+    this.reference.scaling;
+  // applies a command and records it in the history
+  execute = (command) => {
+    this.applyCommand(command, false);
+    this.history.push(command);
+    this.emitChange();
+  };
+  undo = () => {
+    // the drag would be committed against the reverted state
+    if (this.isDragging()) return;
+
+    const command = this.history.undo();
+    if (!command) {
+      this.setMessage('Nothing to undo');
+      return;
     }
 
-    // remaining keys
-    [
-      'lineWidth',
-      'pointRange',
-      'pointSize',
-      'activeOpacity',
-      'inactiveOpacity',
-      'mainColor',
-      'controlColor',
-      'originColor',
-      'outputPrecision',
-    ].forEach((key) => {
-      if (state[key] !== undefined) {
-        this.setProperty(key, state[key]);
-      }
-    });
+    this.applyCommand(command, true);
+    this.emitChange();
   };
-  saveState = () => {
-    try {
-      localStorage.setItem(
-        storageKey,
-        JSON.stringify({
-          timestamp: Date.now(),
-          originPos: this.originPos,
-          curveGroups: this.curveGroups.map((group) => ({
-            id: group.id,
-            points: group.points.map(({ x, y }) => ({ x, y })),
-            controls: group.controls.map(({ points: [point1, point2] }) => ({
-              x1: point1.x,
-              y1: point1.y,
-              x2: point2.x,
-              y2: point2.y,
-            })),
-          })),
-          activeGroupId: this.activeCurveGroup?.id,
-          reference: {
-            scale: this.reference.scale,
-            offset: this.reference.offset,
-            opacity: this.reference.opacity,
-            color: this.reference.color,
-            data: this.reference.getSaveData(),
-          },
-          activeTool,
+  redo = () => {
+    if (this.isDragging()) return;
 
-          lineWidth: this.lineWidth,
-          pointRange: this.pointRange,
-          pointSize: this.pointSize,
-          activeOpacity: this.activeOpacity,
-          inactiveOpacity: this.inactiveOpacity,
-          mainColor: this.mainColor,
-          controlColor: this.controlColor,
-          originColor: this.originColor,
-          outputPrecision: this.outputPrecision,
-        })
-      );
-      this.setMessage('Successfully saved state')
-      return true;
-    } catch (e) {
-      this.setMessage(
-        'Failed to save the state; check the console for more info'
-      );
-      console.log(`Failed to save the state; with error: ${e}`);
+    const command = this.history.redo();
+    if (!command) {
+      this.setMessage('Nothing to redo');
+      return;
     }
-    return false;
+
+    this.applyCommand(command, false);
+    this.emitChange();
   };
-  getSVGString = () => {
-    // an svg will be created with each curve group representing a path element
-    return [
-      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${canvasWidth} ${canvasHeight}" fill="none" stroke="${this.mainColor}">`,
-      this.curveGroups
-        .filter((group) => group.points.length > 1)
-        .map(({ points, controls }) => {
-          let pathData = [`M${getSVGCoords(points[0], this.outputPrecision)}`];
-
-          // connect all the points via curves
-          for (let i = 1; i < points.length; i++) {
-            // get the accompanying control
-            const [point1, point2] = controls[i - 1].points;
-            pathData.push(
-              `C${getSVGCoords(point1, this.outputPrecision)}, ${getSVGCoords(
-                point2,
-                this.outputPrecision
-              )}, ${getSVGCoords(points[i], this.outputPrecision)}`
-            );
+  // performs a command, or reverts it if undo is true
+  applyCommand = (command, undo) => {
+    const sign = undo ? -1 : 1;
+    // the toolpaths are ordered again for the changed drawing
+    this.toolpathCache = null;
+
+    switch (command.type) {
+      case CommandTypes.ADD_POINT:
+      case CommandTypes.DELETE_LAST_POINT: {
+        const group = this.getGroup(command.groupId);
+        // deleting the last point is the inverse of adding it
+        const adding = (command.type === CommandTypes.ADD_POINT) !== undo;
+
+        if (adding) {
+          const { point, control } = command;
+          group.points.push(createPointInstance(point));
+
+          if (control) {
+            group.controls.push(createControlInstance(control));
           }
+        } else {
+          group.points.pop();
 
-          // join all of the commands with spaces
-          return `\t<path d="${pathData.join(' ')}" />`;
-        })
-        .join('\n'),
-      '</svg>',
-    ].join('\n');
-  };
-  getJSONString = (jsonFormat) => {
-    if (jsonFormat === JSONFormats.COORDS) {
-      return JSON.stringify(
+          if (command.control) {
+            group.controls.pop();
+          }
+        }
+        break;
+      }
+      case CommandTypes.DELETE_POINT:
+      case CommandTypes.INSERT_POINT: {
+        const { points, controls } = this.getGroup(command.groupId);
+        // the controls next to the point while it exists and the one that
+        // joins its neighbours when it doesn't
+        const { index, point, controlIndex, pointControls, joinedControl } =
+          command;
+        const joinedControls = joinedControl ? [joinedControl] : [];
+        // inserting a point is the inverse of deleting it
+        const deleting = (command.type === CommandTypes.DELETE_POINT) !== undo;
+
+        if (deleting) {
+          points.splice(index, 1);
+          controls.splice(
+            controlIndex,
+            pointControls.length,
+            ...joinedControls.map(createControlInstance)
+          );
+        } else {
+          points.splice(index, 0, createPointInstance(point));
+          controls.splice(
+            controlIndex,
+            joinedControls.length,
+            ...pointControls.map(createControlInstance)
+          );
+        }
+        break;
+      }
+      case CommandTypes.MOVE_POINT: {
+        const group = this.getGroup(command.groupId);
+        const positions = command.withControls
+          ? getAttachedPositions(group, command.index)
+          : [group.points[command.index]];
+
+        positions.forEach((position) => {
+          position.x += command.dx * sign;
+          position.y += command.dy * sign;
+        });
+        break;
+      }
+      case CommandTypes.MOVE_CONTROL: {
+        const { controls } = this.getGroup(command.groupId);
+        const point = controls[command.controlIndex].points[command.pointIndex];
+        point.x += command.dx * sign;
+        point.y += command.dy * sign;
+        break;
+      }
+      case CommandTypes.CREATE_GROUP:
+      case CommandTypes.DELETE_GROUP: {
+        // deleting a group is the inverse of creating it
+        const creating = (command.type === CommandTypes.CREATE_GROUP) !== undo;
+        const { group, index, active } = command;
+
+        if (creating) {
+          this.curveGroups.splice(index, 0, createGroupInstance(group));
+
+          if (active) {
+            this.activeCurveGroup = this.curveGroups[index];
+          }
+        } else {
+          this.curveGroups = this.curveGroups.filter(
+            ({ id }) => id !== group.id
+          );
+
+          if (this.activeCurveGroup?.id === group.id) {
+            this.activeCurveGroup = null;
+          }
+        }
+        break;
+      }
+      case CommandTypes.MOVE_ORIGIN: {
+        this.originPos.x += command.dx * sign;
+        this.originPos.y += command.dy * sign;
+        break;
+      }
+      case CommandTypes.TRANSFORM_REFERENCE: {
+        this.reference.setTransform(undo ? command.from : command.to);
+        break;
+      }
+      case CommandTypes.SET_POSITIONS: {
+        this.applyPositions(command.positions, undo);
+        break;
+      }
+      case CommandTypes.SET_CLOSED: {
+        const group = this.getGroup(command.groupId);
+        // opening a path is the inverse of closing it
+        const closing = command.closed !== undo;
+
+        if (closing) {
+          group.controls.push(createControlInstance(command.control));
+        } else {
+          group.controls.pop();
+        }
+        group.closed = closing;
+        break;
+      }
+      case CommandTypes.REPLACE_GROUP: {
+        const index = this.curveGroups.findIndex(
+          ({ id }) => id === command.before.id
+        );
+        const group = createGroupInstance(
+          undo ? command.before : command.after
+        );
+
+        this.curveGroups[index] = group;
+        // keep the active group pointing at the current instance
+        if (this.activeCurveGroup?.id === group.id) {
+          this.activeCurveGroup = group;
+        }
+        break;
+      }
+      case CommandTypes.BATCH: {
+        // revert in the opposite order
+        const commands = undo
+          ? command.commands.slice().reverse()
+          : command.commands;
+
+        commands.forEach((batchCommand) =>
+          this.applyCommand(batchCommand, undo)
+        );
+        break;
+      }
+      case CommandTypes.SET_NODE_TYPES: {
+        command.nodes.forEach(({ groupId, index, from, to }) => {
+          this.getGroup(groupId).points[index].nodeType = undo ? from : to;
+        });
+        this.applyPositions(command.positions, undo);
+        break;
+      }
+      default: {
+        console.warn(`Unknown command type: ${command.type}`);
+      }
+    }
+
+    // point indices may have shifted
+    if (!positionCommands.includes(command.type)) {
+      this.selection = [];
+    }
+  };
+  applyPositions = (positions, undo) => {
+    positions.forEach(({ from, to, ...ref }) => {
+      const position = this.getPosition(ref);
+      position.x = undo ? from.x : to.x;
+      position.y = undo ? from.y : to.y;
+    });
+  };
+  getGroup = (id) => {
+    const foundGroup = this.curveGroups.find((group) => group.id === id);
+    if (!foundGroup) {
+      throw new Error(`Unable to find curve group; Id: ${id}`);
+    }
+    return foundGroup;
+  };
+  // connects the active group's last point back to its first, or removes
+  // that closing segment
+  toggleClosed = () => {
+    const group = this.activeCurveGroup;
+    // closed paths of a single segment can still be opened
+    if (!group || (group.points.length < 2 && !group.closed)) {
+      this.setMessage(
+        'Cannot close path; Please select a curve group with at least two points.'
+      );
+      return;
+    }
+
+    const { points, controls, closed, id } = group;
+
+    this.execute({
+      type: CommandTypes.SET_CLOSED,
+      groupId: id,
+      closed: !closed,
+      // keep the closing control so that reopening can be undone
+      control: closed
+        ? serializeControl(controls[controls.length - 1])
+        : getStraightControl(points[points.length - 1], points[0]),
+    });
+  };
+  deleteLastPoint = () => {
+    // the last point of a closed path is joined like any other
+    if (this.activeCurveGroup?.closed) {
+      this.deletePoint(this.activeCurveGroup.points.length - 1);
+      return;
+    }
+
+    if (this.activeCurveGroup && this.activeCurveGroup.points.length > 0) {
+      const { points, controls, id } = this.activeCurveGroup;
+      // the first point has no accompanying control
+      const control =
+        points.length > 1
+          ? serializeControl(controls[controls.length - 1])
+          : null;
+
+      this.execute({
+        type: CommandTypes.DELETE_LAST_POINT,
+        groupId: id,
+        point: serializePoint(points[points.length - 1]),
+        control,
+      });
+    }
+  };
+  // removes any point of the active group; the segments on either side of an
+  // interior point are merged into one that keeps the shape close to the original
+  deletePoint = (index) => {
+    if (!this.activeCurveGroup) return;
+
+    this.execute(this.getDeletePointCommand(this.activeCurveGroup, index));
+  };
+  getDeletePointCommand = (group, index) => {
+    const { points, controls, closed, id } = group;
+
+    if (closed && (index === 0 || points.length <= 2)) {
+      return this.getClosedDeletePointCommand(group, index);
+    }
+
+    let controlIndex = 0;
+    let pointControls = [];
+    let joinedControl = null;
+
+    if (points.length > 1) {
+      if (index === 0) {
+        // trim the first segment
+        pointControls = [controls[0]];
+      } else if (index === points.length - 1 && !closed) {
+        // trim the last segment
+        controlIndex = index - 1;
+        pointControls = [controls[index - 1]];
+      } else {
+        controlIndex = index - 1;
+        pointControls = [controls[index - 1], controls[index]];
+
+        joinedControl = getMergedControl(group, index);
+      }
+    }
+
+    return {
+      type: CommandTypes.DELETE_POINT,
+      groupId: id,
+      index,
+      point: serializePoint(points[index]),
+      controlIndex,
+      pointControls: pointControls.map(serializeControl),
+      joinedControl,
+    };
+  };
+  // deleting the first point of a closed path moves its joined segment to the
+  // end, which a single splice can't express, so the group is replaced instead
+  getClosedDeletePointCommand = (group, index) => {
+    const before = serializeGroup(group);
+    const after = {
+      ...before,
+      points: before.points.filter((_, i) => i !== index),
+    };
+
+    if (group.points.length <= 2) {
+      // too few points left to stay closed
+      after.controls = [];
+      after.closed = false;
+    } else {
+      after.controls = before.controls
+        .slice(1, -1)
+        .concat(getMergedControl(group, index));
+    }
+
+    return { type: CommandTypes.REPLACE_GROUP, before, after };
+  };
+  // splits a segment of the active group at t; the new point and controls
+  // reproduce the original shape exactly
+  insertPoint = (controlIndex, t) => {
+    if (!this.activeCurveGroup) return;
+
+    // a point at either end would lie on top of an existing one
+    if (t < insertEndT || t > 1 - insertEndT) {
+      this.setMessage(
+        'Cannot insert point; It would overlap an existing point.'
+      );
+      return;
+    }
+
+    const { points, controls, id } = this.activeCurveGroup;
+    const [[, control1, control2, point], [, control3, control4]] = splitCubic(
+      points[controlIndex],
+      ...controls[controlIndex].points,
+      points[(controlIndex + 1) % points.length],
+      t
+    );
+
+    this.execute({
+      type: CommandTypes.INSERT_POINT,
+      groupId: id,
+      index: controlIndex + 1,
+      // subdivision keeps the new point's control points collinear
+      point: { x: point.x, y: point.y, nodeType: NodeTypes.SMOOTH },
+      controlIndex,
+      pointControls: [
+        { x1: control1.x, y1: control1.y, x2: control2.x, y2: control2.y },
+        { x1: control3.x, y1: control3.y, x2: control4.x, y2: control4.y },
+      ],
+      joinedControl: serializeControl(controls[controlIndex]),
+    });
+  };
+  // returns the nearest position on the active group's curve if it's in range
+  // of the given position and away from the ends of its segment, or null
+  findCurveHit = (x, y) => {
+    if (!this.activeCurveGroup) return null;
+
+    const { points, controls } = this.activeCurveGroup;
+    // keep the range the same size on screen
+    const range = this.pointRangeHalf / view.zoom;
+    let hit = null;
+
+    for (let i = 0; i < controls.length; i++) {
+      const nearest = getNearestCubicT(
+        points[i],
+        ...controls[i].points,
+        points[(i + 1) % points.length],
+        { x, y }
+      );
+
+      // positions at either end can't be inserted at, like in insertPoint
+      if (nearest.t < insertEndT || nearest.t > 1 - insertEndT) continue;
+
+      if (
+        nearest.distance < range &&
+        (!hit || nearest.distance < hit.distance)
+      ) {
+        hit = { controlIndex: i, ...nearest };
+      }
+    }
+
+    return hit;
+  };
+  // returns the index of the active group's point in range of the position, or -1
+  findPointIndex = (x, y) => {
+    if (!this.activeCurveGroup) return -1;
+
+    // keep the range the same size on screen
+    const range = this.pointRangeHalf / view.zoom;
+
+    return this.activeCurveGroup.points.findIndex(
+      (point) =>
+        x > point.x - range &&
+        x < point.x + range &&
+        y > point.y - range &&
+        y < point.y + range
+    );
+  };
+  // returns the active group's control point in range of the position as
+  // { controlIndex, pointIndex }, or null
+  findControlPoint = (x, y) => {
+    if (!this.activeCurveGroup) return null;
+
+    const { controls } = this.activeCurveGroup;
+    // keep the range the same size on screen
+    const range = this.pointRangeHalf / view.zoom;
+
+    for (let i = 0; i < controls.length; i++) {
+      const { points } = controls[i];
+      for (let j = 0; j < 2; j++) {
+        const point = points[j];
+        if (
+          x > point.x - range &&
+          x < point.x + range &&
+          y > point.y - range &&
+          y < point.y + range
+        ) {
+          return { controlIndex: i, pointIndex: j };
+        }
+      }
+    }
+
+    return null;
+  };
+  setActiveTool = (value) => {
+    activeTool = value;
+    this.updateMousePos();
+    this.emitChange();
+  };
+  setSelectAcrossGroups = (value) => {
+    this.selectAcrossGroups = value;
+
+    // drop points that are no longer selectable
+    if (!value) {
+      this.selection = this.selection.filter(
+        ({ groupId }) => groupId === this.activeCurveGroup?.id
+      );
+    }
+  };
+  resetReferenceTransforms = () => {
+    const { offset, scale } = this.reference;
+
+    // nothing to reset
+    if (offset.x === 0 && offset.y === 0 && scale === 1) return;
+
+    this.execute({
+      type: CommandTypes.TRANSFORM_REFERENCE,
+      from: { offset: { ...offset }, scale },
+      to: { offset: { x: 0, y: 0 }, scale: 1 },
+    });
+  };
+  deleteReferenceData = () => {
+    this.reference.clearData();
+  };
+  setReferenceData = (data) => {
+    this.reference.setData(data);
+  };
+  setProperty = (key, value) => {
+    this[key] = value;
+  };
+  setPointRange = (value) => {
+    this.pointRange = value;
+    this.pointRangeHalf = value * 0.5;
+  };
+  setPointSize = (value) => {
+    this.pointSize = value;
+    this.pointSizeHalf = value * 0.5;
+  };
+  setReferenceOpacity = (value) => {
+    this.reference.setOpacity(value);
+  };
+  setReferenceColor = (value) => {
+    this.reference.setColor(value);
+  };
+  setActiveGroupId = (id) => {
+    const foundGroup = this.curveGroups.find((group) => group.id === id);
+    if (foundGroup) {
+      this.activeCurveGroup = foundGroup;
+      this.setSelectAcrossGroups(this.selectAcrossGroups);
+    } else {
+      console.warn(`Unable to find curve group; Id: ${id}`);
+    }
+  };
+  createGroup = (id) => {
+    // create new curve group and set it as active
+    this.execute({
+      type: CommandTypes.CREATE_GROUP,
+      group: serializeGroup(new CurveGroup(id)),
+      index: this.curveGroups.length,
+      active: true,
+    });
+  };
+  // adds every subpath of the paths and basic shapes in the svg as a group
+  importSVG = (text) => {
+    let paths;
+    try {
+      paths = parseSVG(text);
+    } catch (e) {
+      this.setMessage(`Cannot import SVG; ${e.message}`);
+      return;
+    }
+
+    const groups = paths.flat().map(createImportedGroup);
+    if (groups.length === 0) {
+      this.setMessage('Cannot import SVG; No paths or shapes were found.');
+      return;
+    }
+
+    this.addGroups(groups);
+    this.setMessage(
+      `Imported ${paths.length} paths and shapes as ${groups.length} curve groups`
+    );
+  };
+  // rebuilds the curve groups of either json export format relative to the
+  // current origin point
+  importJSON = (text) => {
+    let groups;
+    try {
+      groups = parseJSONExport(text, this.originPos, this.coordinateSystem).map(
+        createImportedGroup
+      );
+    } catch (e) {
+      this.setMessage(`Cannot import JSON; ${e.message}`);
+      return;
+    }
+
+    if (groups.length === 0) {
+      this.setMessage('Cannot import JSON; No curve groups were found.');
+      return;
+    }
+
+    this.addGroups(groups);
+    this.setMessage(`Imported ${groups.length} curve groups`);
+  };
+  // adds the serialized groups as one step, leaving the last one active
+  addGroups = (groups) => {
+    this.execute({
+      type: CommandTypes.BATCH,
+      commands: groups.map((group, i) => ({
+        type: CommandTypes.CREATE_GROUP,
+        group,
+        index: this.curveGroups.length + i,
+        active: i === groups.length - 1,
+      })),
+    });
+  };
+  deleteGroup = (id) => {
+    const index = this.curveGroups.findIndex((group) => group.id === id);
+    if (index === -1) {
+      console.warn(`Unable to find curve group; Id: ${id}`);
+      return;
+    }
+
+    // keep the group's data so that it can be restored
+    this.execute({
+      type: CommandTypes.DELETE_GROUP,
+      group: serializeGroup(this.curveGroups[index]),
+      index,
+      active: this.activeCurveGroup?.id === id,
+    });
+  };
+  loadState = (state) => {
+    let migrated = false;
+    this.toolpathCache = null;
+
+    // origin position
+    if (state.originPos !== undefined) {
+      this.originPos = state.originPos;
+    }
+    // curve groups
+    if (state.curveGroups !== undefined) {
+      const groups = state.curveGroups.map(migrateSyncedGroup);
+      this.curveGroups = groups.map(createGroupInstance);
+
+      // the saved history refers to the points before they were migrated
+      migrated = groups.some((group, i) => group !== state.curveGroups[i]);
+      if (migrated) {
+        this.setMessage(
+          'Converted paths closed with "Sync Last" into closed paths; Undo history was cleared.'
+        );
+      }
+    }
+    // active group id
+    if (state.activeGroupId !== undefined) {
+      this.setActiveGroupId(state.activeGroupId);
+    }
+    // reference
+    if (state.reference !== undefined) {
+      const { scale, offset, opacity, color, data } = state.reference;
+      this.reference.setScale(scale);
+      this.reference.setOffset(offset.x, offset.y);
+      this.reference.setOpacity(opacity);
+      this.reference.setColor(color);
+
+      // possible to save the image
+      if (data) {
+        this.reference.setData(data);
+      }
+    }
+    // active tool
+    if (state.activeTool !== undefined) {
+      activeTool = state.activeTool;
+    }
+    // undo/redo history; it refers to the points before any migration
+    if (state.history !== undefined && !migrated) {
+      this.history.setData(state.history);
+    }
+    // view transform
+    if (state.view !== undefined) {
+      view = { ...state.view };
+    }
+    // export scope; saves may be missing newer settings
+    if (state.exportScope !== undefined) {
+      this.exportScope = { ...this.exportScope, ...state.exportScope };
+    }
+    // export coordinate system
+    if (state.coordinateSystem !== undefined) {
+      this.coordinateSystem = {
+        ...this.coordinateSystem,
+        ...state.coordinateSystem,
+      };
+    }
+    // svg export settings
+    if (state.svgExport !== undefined) {
+      this.svgExport = { ...this.svgExport, ...state.svgExport };
+    }
+    // g-code export settings
+    if (state.gcodeExport !== undefined) {
+      this.gcodeExport = { ...this.gcodeExport, ...state.gcodeExport };
+    }
+    // dxf export settings
+    if (state.dxfExport !== undefined) {
+      this.dxfExport = { ...this.dxfExport, ...state.dxfExport };
+    }
+    // image export settings
+    if (state.imageExport !== undefined) {
+      this.imageExport = { ...this.imageExport, ...state.imageExport };
+    }
+    // pdf export settings
+    if (state.pdfExport !== undefined) {
+      this.pdfExport = { ...this.pdfExport, ...state.pdfExport };
+    }
+    // code snippet settings
+    if (state.codeExport !== undefined) {
+      this.codeExport = { ...this.codeExport, ...state.codeExport };
+    }
+    // lottie export settings
+    if (state.lottieExport !== undefined) {
+      this.lottieExport = { ...this.lottieExport, ...state.lottieExport };
+    }
+    // quadratic export settings
+    if (state.quadraticExport !== undefined) {
+      this.quadraticExport = {
+        ...this.quadraticExport,
+        ...state.quadraticExport,
+      };
+    }
+    // polyline export settings
+    if (state.polylineExport !== undefined) {
+      this.polylineExport = {
+        ...this.polylineExport,
+        ...state.polylineExport,
+      };
+    }
+
+    // remaining keys
+    [
+      'lineWidth',
+      'pointRange',
+      'pointSize',
+      'activeOpacity',
+      'inactiveOpacity',
+      'mainColor',
+      'controlColor',
+      'originColor',
+      'outputPrecision',
+      'selectAcrossGroups',
+      'snapping',
+    ].forEach((key) => {
+      if (state[key] !== undefined) {
+        this.setProperty(key, state[key]);
+      }
+    });
+  };
+  saveState = () => {
+    try {
+      localStorage.setItem(
+        storageKey,
+        JSON.stringify({
+          timestamp: Date.now(),
+          originPos: this.originPos,
+          curveGroups: this.curveGroups.map(serializeGroup),
+          activeGroupId: this.activeCurveGroup?.id,
+          reference: {
+            scale: this.reference.scale,
+            offset: this.reference.offset,
+            opacity: this.reference.opacity,
+            color: this.reference.color,
+            data: this.reference.getSaveData(),
+          },
+          activeTool,
+          history: this.history.getSaveData(),
+          view,
+
+          lineWidth: this.lineWidth,
+          pointRange: this.pointRange,
+          pointSize: this.pointSize,
+          activeOpacity: this.activeOpacity,
+          inactiveOpacity: this.inactiveOpacity,
+          mainColor: this.mainColor,
+          controlColor: this.controlColor,
+          originColor: this.originColor,
+          outputPrecision: this.outputPrecision,
+          selectAcrossGroups: this.selectAcrossGroups,
+          snapping: this.snapping,
+          exportScope: this.exportScope,
+          coordinateSystem: this.coordinateSystem,
+          svgExport: this.svgExport,
+          polylineExport: this.polylineExport,
+          quadraticExport: this.quadraticExport,
+          gcodeExport: this.gcodeExport,
+          dxfExport: this.dxfExport,
+          imageExport: this.imageExport,
+          pdfExport: this.pdfExport,
+          lottieExport: this.lottieExport,
+          codeExport: this.codeExport,
+        })
+      );
+      this.setMessage('Successfully saved state');
+      return true;
+    } catch (e) {
+      this.setMessage(
+        'Failed to save the state; check the console for more info'
+      );
+      console.log(`Failed to save the state; with error: ${e}`);
+    }
+    return false;
+  };
+  // returns the groups in the export scope, in drawing order
+  getExportGroups = () => {
+    const { mode, groupIds } = this.exportScope;
+
+    if (mode === ExportScopes.ACTIVE) {
+      return this.activeCurveGroup ? [this.activeCurveGroup] : [];
+    } else if (mode === ExportScopes.CHECKED) {
+      return this.curveGroups.filter(({ id }) => groupIds.includes(id));
+    }
+    return this.curveGroups;
+  };
+  // returns the name of the file exporting the groups, without an extension;
+  // files of several groups keep the generic name
+  getExportFileName = (groups) =>
+    groups.length === 1 ? this.getExportFileNames(groups)[0] : 'curve';
+  // returns a distinct file name for each group, without an extension; groups
+  // without a name use their id
+  getExportFileNames = (groups) => {
+    const used = new Set();
+
+    return groups.map(({ id, name }) => {
+      const base =
+        (this.exportScope.fileNames === FileNameSources.NAMES &&
+          getFileName(name)) ||
+        `curve-${id}`;
+      let fileName = base;
+      // number the names that are taken
+      for (let i = 2; used.has(fileName.toLowerCase()); i++) {
+        fileName = `${base}-${i}`;
+      }
+
+      used.add(fileName.toLowerCase());
+      return fileName;
+    });
+  };
+  getSVGString = (exportGroups = this.getExportGroups()) => {
+    const {
+      strokeWidth,
+      strokeColor,
+      fill,
+      fitViewBox,
+      padding,
+      originRelative,
+      ids,
+      dataAttributes,
+      relative,
+      minify,
+      quadratic,
+    } = this.svgExport;
+    // positions are written relative to the origin point when enabled
+    const { toPosition, toLength } = this.getExportTransform(
+      originRelative ? this.originPos : { x: 0, y: 0 },
+      exportGroups
+    );
+    const groups = exportGroups.filter(({ controls }) => controls.length > 0);
+    const bounds = fitViewBox && getCurveBounds(groups);
+    // anything but a positive padding leaves none
+    const margin = Math.max(Number(padding), 0) || 0;
+
+    // fit the view box to the curves, otherwise keep the canvas area
+    const area = getExportArea(
+      bounds
+        ? [
+            { x: bounds.minX - margin, y: bounds.minY - margin },
+            { x: bounds.maxX + margin, y: bounds.maxY + margin },
+          ]
+        : [
+            { x: 0, y: 0 },
+            { x: canvasWidth, y: canvasHeight },
+          ],
+      toPosition
+    );
+    const viewBox = [area.x, area.y, area.width, area.height];
+
+    const svgAttributes = [
+      'xmlns="http://www.w3.org/2000/svg"',
+      `viewBox="${viewBox
+        .map((value) => formatSVGNumber(value, this.outputPrecision, true))
+        .join(' ')}"`,
+      `fill="${escapeSVGAttribute(fill || 'none')}"`,
+      `stroke="${escapeSVGAttribute(strokeColor || this.mainColor)}"`,
+      `stroke-width="${formatSVGNumber(
+        toLength(Number(strokeWidth)),
+        this.outputPrecision,
+        true
+      )}"`,
+    ];
+
+    // an svg will be created with each curve group representing a path element
+    const paths = groups.map((group) => {
+      const pathAttributes = [];
+
+      if (ids) {
+        pathAttributes.push(`id="curve-${group.id}"`);
+      }
+      if (dataAttributes) {
+        pathAttributes.push(
+          `data-group-id="${group.id}"`,
+          `data-group-index="${this.curveGroups.indexOf(group)}"`,
+          `data-closed="${group.closed}"`
+        );
+      }
+      pathAttributes.push(
+        `d="${getSVGPathData(group, {
+          transform: toPosition,
+          precision: this.outputPrecision,
+          relative,
+          minify,
+          quadraticTolerance: quadratic ? this.quadraticExport.tolerance : null,
+        })}"`
+      );
+
+      return minify
+        ? `<path ${pathAttributes.join(' ')}/>`
+        : `\t<path ${pathAttributes.join(' ')} />`;
+    });
+
+    const svg = `<svg ${svgAttributes.join(' ')}>`;
+    return minify
+      ? `${svg}${paths.join('')}</svg>`
+      : [svg, ...paths, '</svg>'].join('\n');
+  };
+  getJSONString = (jsonFormat, groups = this.getExportGroups()) => {
+    const { toPosition, toLength, toAngle } = this.getExportTransform(
+      this.originPos,
+      groups
+    );
+    const toCoords = (position) => {
+      const [x, y] = getJSONCoords(toPosition(position), this.outputPrecision);
+      return { x, y };
+    };
+    // polar coordinates around the origin point
+    const toAngleDistance = (position) => [
+      toAngle(
+        Math.atan2(position.y - this.originPos.y, position.x - this.originPos.x)
+      ).toFixed(this.outputPrecision),
+      toLength(getPointDistance(position, this.originPos)).toFixed(
+        this.outputPrecision
+      ),
+    ];
+
+    if (jsonFormat === JSONFormats.COORDS) {
+      return JSON.stringify(
         // map the curve groups
         // convert instances to primitive data
-        // adjust for the origin point
-        this.curveGroups.map(({ points, controls }) => ({
-          points: points.map((point) => {
-            const [x, y] = getJSONCoords(
-              point,
-              this.originPos,
-              this.outputPrecision
-            );
-            return { x, y };
-          }),
+        // adjust for the coordinate system
+        groups.map(({ points, controls, closed }) => ({
+          closed,
+          points: points.map(toCoords),
           controls: controls.map(({ points: [point1, point2] }) => {
-            const [x1, y1] = getJSONCoords(
-              point1,
-              this.originPos,
-              this.outputPrecision
-            );
-            const [x2, y2] = getJSONCoords(
-              point2,
-              this.originPos,
-              this.outputPrecision
-            );
+            const { x: x1, y: y1 } = toCoords(point1);
+            const { x: x2, y: y2 } = toCoords(point2);
             return { x1, y1, x2, y2 };
           }),
         })),
@@ -515,134 +1879,620 @@ export class DrawingHelper {
       return JSON.stringify(
         // map the curve groups
         // convert instances to primitive data
-        // adjust for the origin point
-        this.curveGroups.map(({ points, controls }) => ({
-          points: points.map((point) => {
-            const angle = Math.atan2(
-              point.y - this.originPos.y,
-              point.x - this.originPos.x
-            );
-            const distance = getPointDistance(point, this.originPos);
-            return [
-              angle.toFixed(this.outputPrecision),
-              distance.toFixed(this.outputPrecision),
-            ];
-          }),
-          controls: controls.map(({ points: [point1, point2] }) => {
-            const angle1 = Math.atan2(
-              point1.y - this.originPos.y,
-              point1.x - this.originPos.x
-            );
-            const distance1 = getPointDistance(point1, this.originPos);
+        // adjust for the coordinate system
+        groups.map(({ points, controls, closed }) => ({
+          closed,
+          points: points.map(toAngleDistance),
+          controls: controls.map(({ points: [point1, point2] }) => [
+            ...toAngleDistance(point1),
+            ...toAngleDistance(point2),
+          ]),
+        })),
+        undefined,
+        2
+      );
+    } else if (jsonFormat === JSONFormats.POLYLINE) {
+      const { tangents, distances } = this.polylineExport;
 
-            const angle2 = Math.atan2(
-              point2.y - this.originPos.y,
-              point2.x - this.originPos.x
-            );
-            const distance2 = getPointDistance(point2, this.originPos);
-
-            return [
-              angle1.toFixed(this.outputPrecision),
-              distance1.toFixed(this.outputPrecision),
-              angle2.toFixed(this.outputPrecision),
-              distance2.toFixed(this.outputPrecision),
-            ];
+      return JSON.stringify(
+        // flatten the curve groups to samples
+        // adjust for the coordinate system
+        groups.map((group) => ({
+          closed: group.closed,
+          points: flattenGroup(group, this.polylineExport).map((sample) => {
+            const point = toCoords(sample);
+
+            if (tangents) {
+              point.angle = toAngle(sample.angle).toFixed(this.outputPrecision);
+            }
+            if (distances) {
+              point.distance = toLength(sample.distance).toFixed(
+                this.outputPrecision
+              );
+            }
+            return point;
           }),
         })),
         undefined,
         2
       );
-    }
+    } else if (jsonFormat === JSONFormats.QUADRATIC) {
+      return JSON.stringify(
+        // approximate the curve groups with quadratic segments
+        // adjust for the coordinate system
+        groups.map((group) => {
+          // groups without a segment have nothing to approximate
+          if (group.controls.length === 0) {
+            return {
+              closed: group.closed,
+              points: group.points.map(toCoords),
+              controls: [],
+            };
+          }
+
+          const quadratics = getGroupQuadratics(
+            group,
+            this.quadraticExport.tolerance
+          ).flat();
+
+          // each control point lies between the point with the same index and
+          // the next one, which is the first point again for closed groups
+          return {
+            closed: group.closed,
+            points: [group.points[0]]
+              .concat(
+                quadratics
+                  .slice(0, group.closed ? -1 : undefined)
+                  .map(([, , end]) => end)
+              )
+              .map(toCoords),
+            controls: quadratics.map(([, control]) => toCoords(control)),
+          };
+        }),
+        undefined,
+        2
+      );
+    } else if (jsonFormat === JSONFormats.SCHEMA) {
+      const { units, scale, flipY, normalize } = this.coordinateSystem;
+      const round = (value) => Number(value.toFixed(this.outputPrecision));
+      const toNumbers = (position) => {
+        const { x, y } = toPosition(position);
+        return { x: round(x), y: round(y) };
+      };
+      // the coordinate system may flip the corners
+      const toBounds = (bounds) => {
+        if (!bounds) return null;
+
+        const corners = [
+          { x: bounds.minX, y: bounds.minY },
+          { x: bounds.maxX, y: bounds.maxY },
+        ].map(toNumbers);
+        return {
+          minX: Math.min(corners[0].x, corners[1].x),
+          minY: Math.min(corners[0].y, corners[1].y),
+          maxX: Math.max(corners[0].x, corners[1].x),
+          maxY: Math.max(corners[0].y, corners[1].y),
+        };
+      };
+      const getBounds = (groups) =>
+        getCurveBounds(groups.filter(({ controls }) => controls.length > 0)) ??
+        getGroupsBounds(groups);
+
+      return JSON.stringify(
+        {
+          $schema: schemaURL,
+          version: schemaVersion,
+          canvas: { width: canvasWidth, height: canvasHeight },
+          // the origin point is given in canvas pixels
+          origin: {
+            x: round(this.originPos.x),
+            y: round(this.originPos.y),
+          },
+          coordinateSystem: {
+            units: normalize ? 'normalized' : units,
+            scale: normalize ? null : getUnitScale(units, scale),
+            yAxis: flipY ? 'up' : 'down',
+          },
+          bounds: toBounds(getBounds(groups)),
+          groups: groups.map((group) => ({
+            id: group.id,
+            name: group.name || `Group ${this.curveGroups.indexOf(group)}`,
+            closed: group.closed,
+            bounds: toBounds(getBounds([group])),
+            points: group.points.map(toNumbers),
+            controls: group.controls.map(({ points: [point1, point2] }) => {
+              const { x: x1, y: y1 } = toNumbers(point1);
+              const { x: x2, y: y2 } = toNumbers(point2);
+              return { x1, y1, x2, y2 };
+            }),
+          })),
+        },
+        undefined,
+        2
+      );
+    }
+  };
+  // returns the mapping to the export coordinate system with positions
+  // relative to the given origin; normalized positions span the curves of the
+  // groups
+  getExportTransform = (origin, groups) => {
+    const drawnGroups = groups.filter(({ controls }) => controls.length > 0);
+
+    return getExportTransform(
+      this.coordinateSystem,
+      origin,
+      getCurveBounds(drawnGroups) ?? getGroupsBounds(groups)
+    );
+  };
+  // returns the number of cubic segments of each curve and the number of
+  // quadratic segments the quadratic output replaces them with
+  getQuadraticReport = (groups = this.getExportGroups()) =>
+    groups
+      .filter(({ controls }) => controls.length > 0)
+      .map((group) => {
+        const quadratics = getGroupQuadratics(
+          group,
+          this.quadraticExport.tolerance
+        );
+        return {
+          index: this.curveGroups.indexOf(group),
+          cubic: quadratics.length,
+          quadratic: quadratics.flat().length,
+        };
+      });
+  // returns the cubic segments of every path the machine draws, in drawing
+  // order and document space
+  getToolpaths = (groups = this.getExportGroups()) => {
+    const paths = groups
+      .filter(({ controls }) => controls.length > 0)
+      .map((group) => ({
+        segments: getGroupSegments(group),
+        closed: group.closed,
+      }));
+
+    return this.gcodeExport.optimizeTravel
+      ? orderToolpaths(paths, this.originPos)
+      : paths.map(({ segments }) => segments);
+  };
+  // returns the physical units of the coordinate system, or null for pixels,
+  // custom units and normalized positions
+  getPhysicalUnits = () => {
+    const { units, normalize } = this.coordinateSystem;
+
+    if (normalize) return null;
+    return units === CoordinateUnits.MILLIMETERS ||
+      units === CoordinateUnits.INCHES
+      ? units
+      : null;
+  };
+  getGCodeString = (groups = this.getExportGroups()) => {
+    // the origin point is machine zero; machines only know millimeters and
+    // inches, so anything else is written as millimeters
+    const { toPosition } = this.getExportTransform(this.originPos, groups);
+    const units =
+      this.getPhysicalUnits() === CoordinateUnits.INCHES
+        ? GCodeUnits.INCHES
+        : GCodeUnits.MILLIMETERS;
+
+    return getGCode(
+      this.getToolpaths(groups).map((segments) =>
+        segments.map((segment) => segment.map(toPosition))
+      ),
+      { ...this.gcodeExport, units },
+      this.outputPrecision
+    );
+  };
+  getDXFString = (groups = this.getExportGroups()) => {
+    const { entities, tolerance } = this.dxfExport;
+    const { toPosition } = this.getExportTransform(this.originPos, groups);
+    const units =
+      {
+        [CoordinateUnits.MILLIMETERS]: DXFUnits.MILLIMETERS,
+        [CoordinateUnits.INCHES]: DXFUnits.INCHES,
+      }[this.getPhysicalUnits()] ?? DXFUnits.UNITLESS;
+
+    const paths = groups
+      .filter(({ controls }) => controls.length > 0)
+      .map((group, i) => {
+        const layer = `CURVE-${i + 1}`;
+        const segments = getGroupSegments(group).map((segment) =>
+          segment.map(toPosition)
+        );
+
+        if (entities === DXFEntities.SPLINE) {
+          return { layer, segments };
+        }
+
+        // flatten the group once it's in drawing units
+        const points = flattenGroup(
+          {
+            points: group.points.map(toPosition),
+            controls: segments.map(([, control1, control2]) => ({
+              points: [control1, control2],
+            })),
+            closed: group.closed,
+          },
+          { mode: FlattenModes.TOLERANCE, tolerance }
+        );
+        return { layer, points, closed: group.closed };
+      });
+
+    return getDXF(paths, units, this.outputPrecision);
+  };
+  getPDFString = (groups = this.getExportGroups()) => {
+    const { units, width, height, originX, originY, strokeWidth, strokeColor } =
+      this.pdfExport;
+    const { toPosition } = this.getExportTransform(this.originPos, groups);
+    // physical units are converted to page units, and other units are taken
+    // as page units
+    const physicalUnits = this.getPhysicalUnits();
+    const factor = physicalUnits
+      ? getUnitScale(units) / getUnitScale(physicalUnits)
+      : 1;
+    // the origin point is placed at the given position on the page, which
+    // keeps the curves upright whichever way the y axis points
+    const direction = this.coordinateSystem.flipY ? -1 : 1;
+    const toPage = (position) => {
+      const { x, y } = toPosition(position);
+      return {
+        x: Number(originX) + x * factor,
+        y: Number(originY) + y * factor * direction,
+      };
+    };
+
+    const paths = groups
+      .filter(({ controls }) => controls.length > 0)
+      .map((group) => ({
+        segments: getGroupSegments(group).map((segment) => segment.map(toPage)),
+        closed: group.closed,
+      }));
+
+    return getPDF(
+      paths,
+      {
+        units,
+        width: Number(width),
+        height: Number(height),
+        strokeWidth: Number(strokeWidth),
+        strokeColor: strokeColor || this.mainColor,
+      },
+      this.outputPrecision
+    );
+  };
+  // positions follow the coordinate system; the vector drawable is the size
+  // of the canvas and uses the display color and line width
+  getCodeString = (groups = this.getExportGroups()) => {
+    const { toPosition, toLength } = this.getExportTransform(
+      this.originPos,
+      groups
+    );
+
+    const paths = groups
+      .filter(({ controls }) => controls.length > 0)
+      .map((group) => ({
+        name: group.name || `Group ${this.curveGroups.indexOf(group)}`,
+        segments: getGroupSegments(group).map((segment) =>
+          segment.map(toPosition)
+        ),
+        closed: group.closed,
+      }));
+
+    return getCode(paths, this.codeExport.language, {
+      functions: this.codeExport.functions,
+      precision: this.outputPrecision,
+      width: canvasWidth,
+      height: canvasHeight,
+      viewport: getExportArea(
+        [
+          { x: 0, y: 0 },
+          { x: canvasWidth, y: canvasHeight },
+        ],
+        toPosition
+      ),
+      strokeColor: this.mainColor,
+      strokeWidth: toLength(Number(this.lineWidth)),
+    });
+  };
+  // the animation covers the area of the canvas in the coordinate system, so
+  // positions are moved by its corner; it uses the display color and line
+  // width
+  getLottieString = (groups = this.getExportGroups()) => {
+    const { trimPath, duration, frameRate } = this.lottieExport;
+    const { toPosition, toLength } = this.getExportTransform(
+      this.originPos,
+      groups
+    );
+    const area = getExportArea(
+      [
+        { x: 0, y: 0 },
+        { x: canvasWidth, y: canvasHeight },
+      ],
+      toPosition
+    );
+    const toAnimation = (position) => {
+      const { x, y } = toPosition(position);
+      return { x: x - area.x, y: y - area.y };
+    };
+
+    const shapes = groups
+      .filter(({ controls }) => controls.length > 0)
+      .map((group) => {
+        const points = group.points.map(toAnimation);
+        const controls = group.controls.map((control) =>
+          control.points.map(toAnimation)
+        );
+        // tangents are relative to their vertex, and zero without a control
+        const getTangent = (point, controlIndex, controlPoint) =>
+          controlIndex === -1
+            ? { x: 0, y: 0 }
+            : {
+                x: controls[controlIndex][controlPoint].x - point.x,
+                y: controls[controlIndex][controlPoint].y - point.y,
+              };
+
+        return {
+          name: group.name || `Group ${this.curveGroups.indexOf(group)}`,
+          vertices: points,
+          inTangents: points.map((point, i) =>
+            getTangent(point, getIncomingControlIndex(group, i), 1)
+          ),
+          outTangents: points.map((point, i) =>
+            getTangent(point, getOutgoingControlIndex(group, i), 0)
+          ),
+          closed: group.closed,
+        };
+      });
+
+    return JSON.stringify(
+      getLottie(shapes, {
+        width: area.width,
+        height: area.height,
+        strokeColor: this.mainColor,
+        strokeWidth: toLength(Number(this.lineWidth)),
+        trimPath,
+        duration: Math.max(Number(duration), 0),
+        frameRate: Math.max(Number(frameRate), 1),
+        precision: this.outputPrecision,
+      })
+    );
+  };
+  // renders only the curves, and optionally the reference image beneath them,
+  // to an offscreen canvas; resolves with the encoded image, which browsers
+  // that can't encode the type give as a png instead, or null on failure
+  getImageBlob = (
+    type = this.imageExport.type,
+    exportGroups = this.getExportGroups()
+  ) => {
+    const { scale, transparent, backgroundColor, crop, padding, reference } =
+      this.imageExport;
+    const multiplier = Number(scale);
+    const groups = exportGroups.filter(({ controls }) => controls.length > 0);
+    const bounds = crop && getCurveBounds(groups);
+    // half of each line lies outside of the curve bounds
+    const margin = this.lineWidth / 2 + Number(padding);
+
+    // crop to the curves, otherwise keep the canvas area
+    const area = bounds
+      ? {
+          x: bounds.minX - margin,
+          y: bounds.minY - margin,
+          width: bounds.maxX - bounds.minX + margin * 2,
+          height: bounds.maxY - bounds.minY + margin * 2,
+        }
+      : { x: 0, y: 0, width: canvasWidth, height: canvasHeight };
+    const width = Math.ceil(area.width * multiplier);
+    const height = Math.ceil(area.height * multiplier);
+
+    if (!(width > 0 && height > 0)) {
+      this.setMessage('Cannot export image; The scale must be above zero.');
+      return Promise.resolve(null);
+    }
+    if (width > maxImageSize || height > maxImageSize) {
+      this.setMessage(
+        `Cannot export image; It would be ${width}x${height} pixels, the limit is ${maxImageSize} pixels across.`
+      );
+      return Promise.resolve(null);
+    }
+
+    const imageCanvas = document.createElement('canvas');
+    imageCanvas.width = width;
+    imageCanvas.height = height;
+    const imageCtx = imageCanvas.getContext('2d');
+
+    if (!transparent) {
+      imageCtx.fillStyle = backgroundColor;
+      imageCtx.fillRect(0, 0, width, height);
+    }
+
+    // draw in document space
+    imageCtx.setTransform(
+      multiplier,
+      0,
+      0,
+      multiplier,
+      -area.x * multiplier,
+      -area.y * multiplier
+    );
+
+    if (reference && this.reference.ready) {
+      const { offset, scale: referenceScale } = this.reference;
+      const { width: imageWidth, height: imageHeight } = this.reference.image;
+
+      imageCtx.globalAlpha = this.reference.opacity;
+      imageCtx.drawImage(
+        this.reference.image,
+        offset.x,
+        offset.y,
+        imageWidth * referenceScale,
+        imageHeight * referenceScale
+      );
+      imageCtx.globalAlpha = 1;
+    }
+
+    imageCtx.lineWidth = this.lineWidth;
+    imageCtx.strokeStyle = this.mainColor;
+    groups.forEach((group) => {
+      const { x, y } = group.points[0];
+
+      imageCtx.beginPath();
+      imageCtx.moveTo(x, y);
+      getGroupSegments(group).forEach(([, control1, control2, end]) => {
+        imageCtx.bezierCurveTo(
+          control1.x,
+          control1.y,
+          control2.x,
+          control2.y,
+          end.x,
+          end.y
+        );
+      });
+      if (group.closed) {
+        imageCtx.closePath();
+      }
+      imageCtx.stroke();
+    });
+
+    return new Promise((resolve) => {
+      imageCanvas.toBlob(resolve, `image/${type}`);
+    });
+  };
+  // draws the paths the machine draws and the travel moves between them,
+  // which start and end at the origin point
+  drawToolpaths = () => {
+    // ordering the toolpaths is too slow to repeat every frame, so they are
+    // kept until the drawing, the g-code settings or the exported groups change
+    const groups = this.getExportGroups();
+    const cache = this.toolpathCache;
+    if (
+      !cache ||
+      cache.groups.length !== groups.length ||
+      cache.groups.some((group, i) => group !== groups[i])
+    ) {
+      this.toolpathCache = { groups, toolpaths: this.getToolpaths(groups) };
+    }
+
+    const { toolpaths } = this.toolpathCache;
+    if (toolpaths.length === 0) return;
+
+    ctx.lineWidth = 1 / view.zoom;
+
+    // travel moves
+    ctx.strokeStyle = travelColor;
+    ctx.setLineDash([4 / view.zoom, 4 / view.zoom]);
+    ctx.beginPath();
+    ctx.moveTo(this.originPos.x, this.originPos.y);
+    toolpaths.forEach((segments) => {
+      const [start] = segments[0];
+      const end = segments[segments.length - 1][3];
+
+      ctx.lineTo(start.x, start.y);
+      ctx.moveTo(end.x, end.y);
+    });
+    ctx.lineTo(this.originPos.x, this.originPos.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // drawing moves
+    ctx.strokeStyle = toolpathColor;
+    ctx.beginPath();
+    toolpaths.forEach((segments) => {
+      ctx.moveTo(segments[0][0].x, segments[0][0].y);
+      segments.forEach(([, control1, control2, end]) =>
+        ctx.bezierCurveTo(
+          control1.x,
+          control1.y,
+          control2.x,
+          control2.y,
+          end.x,
+          end.y
+        )
+      );
+    });
+    ctx.stroke();
   };
   update = () => {
     try {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
       ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+      // draw everything in document space
+      ctx.setTransform(view.zoom, 0, 0, view.zoom, view.x, view.y);
+
+      // keep handles and lines the same size on screen
+      const pointSize = this.pointSize / view.zoom;
+      const pointSizeHalf = pointSize * 0.5;
+      const originHalf = originSizeHalf / view.zoom;
 
       // update reference
       this.reference.update();
 
+      // draw the grid
+      if (this.snapping.showGrid) {
+        this.drawGrid();
+      }
+
       // draw curve groups
       for (let i = 0; i < this.curveGroups.length; i++) {
-        const { points, controls, id } = this.curveGroups[i];
-        const active = this.activeCurveGroup?.id === id;
+        const group = this.curveGroups[i];
+        const active = this.activeCurveGroup?.id === group.id;
 
         // stop if there are no points
-        if (points.length === 0) continue;
+        if (group.points.length === 0) continue;
+
+        // positions including any in-progress drags
+        const { points, controls } = this.getDisplayGeometry(group);
 
-        // draw points
-        ctx.lineWidth = this.lineWidth;
-        ctx.strokeStyle = 'none';
+        ctx.globalAlpha = active ? this.activeOpacity : this.inactiveOpacity;
+        ctx.lineWidth = this.lineWidth / view.zoom;
         ctx.fillStyle = this.mainColor;
         ctx.strokeStyle = this.mainColor;
 
+        // draw the curve
         ctx.beginPath();
-        for (let j = 0; j < points.length; j++) {
-          let { x, y } = points[j];
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let j = 1; j < points.length; j++) {
+          const [point1, point2] = controls[j - 1];
+          const { x, y } = points[j];
+          ctx.bezierCurveTo(point1.x, point1.y, point2.x, point2.y, x, y);
+        }
+        // draw the closing segment
+        if (group.closed) {
+          const [point1, point2] = controls[controls.length - 1];
+          const { x, y } = points[0];
+          ctx.bezierCurveTo(point1.x, point1.y, point2.x, point2.y, x, y);
+          ctx.closePath();
+        }
+        ctx.stroke();
 
-          // only if active
-          if (active) {
-            // use the active opacity
-            ctx.globalAlpha = this.activeOpacity;
-
-            // adjust for dragging
-            if (activeTool === ToolTypes.EDIT_POINTS) {
-              // if this point is being dragged, add the delta to the position
-              if (this.dragPoint === j) {
-                const deltaX = mousePos.x - this.dragStart.x;
-                const deltaY = mousePos.y - this.dragStart.y;
-
-                x += deltaX;
-                y += deltaY;
-              }
-            }
+        // draw the points themselves
+        if (
+          (active && pointTools.includes(activeTool)) ||
+          (activeTool === ToolTypes.SELECT_POINTS &&
+            this.isSelectableGroup(group))
+        ) {
+          for (let j = 0; j < points.length; j++) {
+            const { x, y } = points[j];
 
-            // draw point itself
-            if (
-              activeTool === ToolTypes.ADD_POINTS ||
-              activeTool === ToolTypes.EDIT_POINTS
-            ) {
+            // highlight selected points
+            ctx.fillStyle = this.isSelected(group.id, j)
+              ? this.controlColor
+              : this.mainColor;
+
+            if (group.points[j].nodeType === NodeTypes.CORNER) {
               // draw a rectangle on the point
               ctx.fillRect(
-                x - this.pointSizeHalf,
-                y - this.pointSizeHalf,
-                this.pointSize,
-                this.pointSize
+                x - pointSizeHalf,
+                y - pointSizeHalf,
+                pointSize,
+                pointSize
               );
-            }
-
-            // draw point line
-            if (j === 0) {
-              // move if the first point
-              ctx.moveTo(x, y);
-            } else {
-              if (activeTool === ToolTypes.EDIT_CONTROLS) {
-                // if editing controls, use this method to account for the points being dragged
-                const { x1, y1, x2, y2 } = this.getEditControlPoints(
-                  controls[j - 1].points,
-                  j - 1
-                );
-                ctx.bezierCurveTo(x1, y1, x2, y2, x, y);
-              } else {
-                // render normally
-                const [point1, point2] = controls[j - 1].points;
-                ctx.bezierCurveTo(point1.x, point1.y, point2.x, point2.y, x, y);
-              }
-            }
-          } else {
-            // set inactive opacity
-            ctx.globalAlpha = this.inactiveOpacity;
-
-            if (j === 0) {
-              // move if the first point
-              ctx.moveTo(x, y);
             } else {
-              // render normally
-              const [point1, point2] = controls[j - 1].points;
-              ctx.bezierCurveTo(point1.x, point1.y, point2.x, point2.y, x, y);
+              // draw a circle on points with linked control points
+              ctx.beginPath();
+              ctx.arc(x, y, pointSizeHalf, 0, Math.PI * 2);
+              ctx.fill();
             }
           }
         }
-        ctx.stroke();
 
         // only if active
         if (active) {
@@ -653,24 +2503,20 @@ export class DrawingHelper {
             ctx.strokeStyle = this.controlColor;
 
             for (let j = 0; j < controls.length; j++) {
-              // if editing controls, use this method to account for the points being dragged
-              const { x1, y1, x2, y2 } = this.getEditControlPoints(
-                controls[j].points,
-                j
-              );
+              const [{ x: x1, y: y1 }, { x: x2, y: y2 }] = controls[j];
 
               // draw outlines around the points
               ctx.strokeRect(
-                x1 - this.pointSizeHalf,
-                y1 - this.pointSizeHalf,
-                this.pointSize,
-                this.pointSize
+                x1 - pointSizeHalf,
+                y1 - pointSizeHalf,
+                pointSize,
+                pointSize
               );
               ctx.strokeRect(
-                x2 - this.pointSizeHalf,
-                y2 - this.pointSizeHalf,
-                this.pointSize,
-                this.pointSize
+                x2 - pointSizeHalf,
+                y2 - pointSizeHalf,
+                pointSize,
+                pointSize
               );
 
               // draw the connecting line between the two points
@@ -680,16 +2526,46 @@ export class DrawingHelper {
               ctx.stroke();
             }
           }
+
+          // mark where a point would be inserted
+          if (activeTool === ToolTypes.INSERT_POINTS) {
+            const hit = this.findCurveHit(mousePos.x, mousePos.y);
+
+            if (hit) {
+              ctx.strokeStyle = this.controlColor;
+              ctx.strokeRect(
+                hit.point.x - pointSizeHalf,
+                hit.point.y - pointSizeHalf,
+                pointSize,
+                pointSize
+              );
+            }
+          }
         }
       }
 
       // reset opacity
       ctx.globalAlpha = 1;
 
+      // preview the g-code toolpaths
+      if (this.gcodeExport.preview) {
+        this.drawToolpaths();
+      }
+
+      // mark what the mouse position snapped to
+      if (this.snapTarget) {
+        this.drawSnapTarget();
+      }
+
+      // draw the selection gizmo and marquee
+      if (activeTool === ToolTypes.SELECT_POINTS) {
+        this.drawSelection();
+      }
+
       // draw the origin point
       if (activeTool === ToolTypes.EDIT_ORIGIN_POINT) {
         let { x, y } = this.originPos;
-        ctx.lineWidth = 2;
+        ctx.lineWidth = 2 / view.zoom;
         ctx.strokeStyle = this.originColor;
         ctx.fillStyle = 'none';
 
@@ -703,10 +2579,10 @@ export class DrawingHelper {
         }
 
         ctx.beginPath();
-        ctx.moveTo(x, y - originSizeHalf);
-        ctx.lineTo(x, y + originSizeHalf);
-        ctx.moveTo(x - originSizeHalf, y);
-        ctx.lineTo(x + originSizeHalf, y);
+        ctx.moveTo(x, y - originHalf);
+        ctx.lineTo(x, y + originHalf);
+        ctx.moveTo(x - originHalf, y);
+        ctx.lineTo(x + originHalf, y);
         ctx.stroke();
       }
     } catch (e) {
@@ -714,39 +2590,768 @@ export class DrawingHelper {
       console.log(`MainLoop update failed; with error: ${e}`);
     }
   };
-  getEditControlPoints = ([point1, point2], index) => {
-    let x1 = point1.x;
-    let y1 = point1.y;
-    let x2 = point2.x;
-    let y2 = point2.y;
+  // returns copies of the group's points and control points with any
+  // in-progress drag applied
+  getDisplayGeometry = (group) => {
+    const active = this.activeCurveGroup?.id === group.id;
+    const points = group.points.map(({ x, y }) => ({ x, y }));
+    const controls = group.controls.map((control) =>
+      control.points.map(({ x, y }) => ({ x, y }))
+    );
 
-    // if one of these control points is being dragged, add the delta to the correct point
-    if (this.dragControl) {
-      const [controlIndex, pointIndex] = this.dragControl;
-      if (controlIndex === index) {
-        const deltaX = mousePos.x - this.dragStart.x;
-        const deltaY = mousePos.y - this.dragStart.y;
+    if (active && this.dragStart) {
+      const deltaX = mousePos.x - this.dragStart.x;
+      const deltaY = mousePos.y - this.dragStart.y;
+
+      // if a point is being dragged, add the delta to the position
+      if (this.dragPoint !== null) {
+        const positions = this.dragPointAlone
+          ? [points[this.dragPoint]]
+          : getAttachedPositions(
+              {
+                points,
+                controls: controls.map((controlPoints) => ({
+                  points: controlPoints,
+                })),
+                closed: group.closed,
+              },
+              this.dragPoint
+            );
+
+        positions.forEach((position) => {
+          position.x += deltaX;
+          position.y += deltaY;
+        });
+      }
+      // if a control point is being dragged, move it and its linked partner
+      if (this.dragControl !== null) {
+        const [controlIndex, pointIndex] = this.dragControl;
+        const { x, y } = group.controls[controlIndex].points[pointIndex];
+
+        this.getControlMovePositions(group, controlIndex, pointIndex, {
+          x: x + deltaX,
+          y: y + deltaY,
+        }).forEach((ref) => {
+          Object.assign(controls[ref.controlIndex][ref.pointIndex], ref.to);
+        });
+      }
+    }
+
+    // transform the selected points and their controls
+    const matrix = this.getSelectionMatrix();
+    if (matrix) {
+      this.getSelectionTargets()
+        .filter((ref) => ref.groupId === group.id)
+        .forEach((ref) => {
+          const target =
+            ref.controlIndex === undefined
+              ? points[ref.index]
+              : controls[ref.controlIndex][ref.pointIndex];
+          Object.assign(target, applyMatrix(matrix, target));
+        });
+    }
+
+    return { points, controls };
+  };
+  isSelectableGroup = (group) =>
+    this.selectAcrossGroups || this.activeCurveGroup?.id === group.id;
+  isSelected = (groupId, index) =>
+    this.selection.some(
+      (ref) => ref.groupId === groupId && ref.index === index
+    );
+  // returns the selectable point in range of the position, or null
+  findSelectablePoint = (x, y) => {
+    // keep the range the same size on screen
+    const range = this.pointRangeHalf / view.zoom;
+
+    for (const group of this.curveGroups) {
+      if (!this.isSelectableGroup(group)) continue;
+
+      const index = group.points.findIndex(
+        (point) =>
+          x > point.x - range &&
+          x < point.x + range &&
+          y > point.y - range &&
+          y < point.y + range
+      );
+      if (index !== -1) {
+        return { groupId: group.id, index };
+      }
+    }
+
+    return null;
+  };
+  // returns every selected point along with the control points attached to it
+  getSelectionTargets = () =>
+    this.selection.flatMap(({ groupId, index }) =>
+      getAttachedPositionRefs(this.getGroup(groupId), index)
+    );
+  getPosition = ({ groupId, index, controlIndex, pointIndex }) => {
+    const { points, controls } = this.getGroup(groupId);
+
+    return controlIndex === undefined
+      ? points[index]
+      : controls[controlIndex].points[pointIndex];
+  };
+  getSelectionBounds = () => {
+    if (this.selection.length === 0) return null;
+
+    const positions = this.selection.map(this.getPosition);
+
+    return {
+      minX: Math.min(...positions.map(({ x }) => x)),
+      minY: Math.min(...positions.map(({ y }) => y)),
+      maxX: Math.max(...positions.map(({ x }) => x)),
+      maxY: Math.max(...positions.map(({ y }) => y)),
+    };
+  };
+  // returns the gizmo handle in range of the position, or null
+  findGizmoHandle = (x, y) => {
+    const bounds = this.getSelectionBounds();
+    if (!bounds || this.selection.length < 2) return null;
+
+    const range = this.pointRangeHalf / view.zoom;
+    const handles = getGizmoHandles(bounds, rotateHandleOffset / view.zoom);
+
+    return (
+      handles.find(
+        (handle) =>
+          x > handle.x - range &&
+          x < handle.x + range &&
+          y > handle.y - range &&
+          y < handle.y + range
+      ) || null
+    );
+  };
+  // returns the matrix of the in-progress selection transform, or null
+  getSelectionMatrix = () => {
+    if (!this.selectionDrag || this.selectionDrag.mode === 'marquee') {
+      return null;
+    }
+
+    const { mode, start, bounds, handle } = this.selectionDrag;
+
+    if (mode === 'move') {
+      return translationMatrix(mousePos.x - start.x, mousePos.y - start.y);
+    } else if (mode === 'scale') {
+      // scale relative to the opposite corner
+      const pivot = handle.pivot;
+      const width = handle.x - pivot.x;
+      const height = handle.y - pivot.y;
+      let scaleX = width === 0 ? 1 : (mousePos.x - pivot.x) / width;
+      let scaleY = height === 0 ? 1 : (mousePos.y - pivot.y) / height;
+
+      // keep the aspect ratio
+      if (this.selectionDrag.uniform) {
+        const scale = Math.abs(scaleX) > Math.abs(scaleY) ? scaleX : scaleY;
+        scaleX = scale;
+        scaleY = scale;
+      }
+
+      return scalingMatrix(scaleX, scaleY, pivot);
+    } else if (mode === 'rotate') {
+      // rotate around the center of the bounds
+      const center = {
+        x: (bounds.minX + bounds.maxX) * 0.5,
+        y: (bounds.minY + bounds.maxY) * 0.5,
+      };
+      let angle =
+        Math.atan2(mousePos.y - center.y, mousePos.x - center.x) -
+        Math.atan2(start.y - center.y, start.x - center.x);
+
+      // constrain to steps
+      if (this.selectionDrag.uniform) {
+        angle = Math.round(angle / rotateStep) * rotateStep;
+      }
+
+      return rotationMatrix(angle, center);
+    }
+
+    return null;
+  };
+  drawSelection = () => {
+    const bounds = this.getSelectionBounds();
+    const pointSize = this.pointSize / view.zoom;
+    const pointSizeHalf = pointSize * 0.5;
+
+    ctx.lineWidth = 1 / view.zoom;
+    ctx.strokeStyle = this.controlColor;
+    ctx.fillStyle = this.controlColor;
+
+    if (this.selectionDrag?.mode === 'marquee') {
+      const { start } = this.selectionDrag;
+
+      ctx.setLineDash([4 / view.zoom, 4 / view.zoom]);
+      ctx.strokeRect(
+        start.x,
+        start.y,
+        mousePos.x - start.x,
+        mousePos.y - start.y
+      );
+      ctx.setLineDash([]);
+    }
+
+    // a gizmo is only useful for more than one point
+    if (!bounds || this.selection.length < 2) return;
+
+    const matrix = this.getSelectionMatrix() || identityMatrix;
+    const corners = [
+      { x: bounds.minX, y: bounds.minY },
+      { x: bounds.maxX, y: bounds.minY },
+      { x: bounds.maxX, y: bounds.maxY },
+      { x: bounds.minX, y: bounds.maxY },
+    ].map((corner) => applyMatrix(matrix, corner));
+
+    // draw the bounding box
+    ctx.beginPath();
+    corners.forEach(({ x, y }, i) =>
+      i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)
+    );
+    ctx.closePath();
+    ctx.stroke();
+
+    // draw the handles
+    getGizmoHandles(bounds, rotateHandleOffset / view.zoom).forEach(
+      (handle) => {
+        const { x, y } = applyMatrix(matrix, handle);
+
+        if (handle.mode === 'rotate') {
+          const top = applyMatrix(matrix, {
+            x: (bounds.minX + bounds.maxX) * 0.5,
+            y: bounds.minY,
+          });
 
-        if (pointIndex === 0) {
-          x1 += deltaX;
-          y1 += deltaY;
+          ctx.beginPath();
+          ctx.moveTo(top.x, top.y);
+          ctx.lineTo(x, y);
+          ctx.stroke();
+
+          ctx.beginPath();
+          ctx.arc(x, y, pointSizeHalf, 0, Math.PI * 2);
+          ctx.fill();
         } else {
-          x2 += deltaX;
-          y2 += deltaY;
+          ctx.strokeRect(
+            x - pointSizeHalf,
+            y - pointSizeHalf,
+            pointSize,
+            pointSize
+          );
+        }
+      }
+    );
+  };
+  selectAll = () => {
+    this.selection = this.curveGroups
+      .filter(this.isSelectableGroup)
+      .flatMap(({ id, points }) =>
+        points.map((_, index) => ({ groupId: id, index }))
+      );
+  };
+  clearSelection = () => {
+    this.selection = [];
+  };
+  // sets the node type of the selected points and links their control points
+  setSelectionNodeType = (nodeType) => {
+    if (this.selection.length === 0) {
+      this.setMessage(
+        'Cannot set node type; Please select points with the select tool first.'
+      );
+      return;
+    }
+
+    const nodes = [];
+    const positions = [];
+
+    this.selection.forEach(({ groupId, index }) => {
+      const group = this.getGroup(groupId);
+      const { points, controls } = group;
+      const point = points[index];
+
+      if (point.nodeType === nodeType) return;
+
+      nodes.push({ groupId, index, from: point.nodeType, to: nodeType });
+
+      // only points with control points on both sides need linking
+      const incomingIndex = getIncomingControlIndex(group, index);
+      const outgoingIndex = getOutgoingControlIndex(group, index);
+      if (nodeType === NodeTypes.CORNER) return;
+      if (incomingIndex === -1 || outgoingIndex === -1) return;
+
+      const handleIn = controls[incomingIndex].points[1];
+      const handleOut = controls[outgoingIndex].points[0];
+      const handles = getLinkedHandles(nodeType, point, handleIn, handleOut);
+      if (!handles) return;
+
+      positions.push(
+        {
+          groupId,
+          controlIndex: incomingIndex,
+          pointIndex: 1,
+          from: { x: handleIn.x, y: handleIn.y },
+          to: handles[0],
+        },
+        {
+          groupId,
+          controlIndex: outgoingIndex,
+          pointIndex: 0,
+          from: { x: handleOut.x, y: handleOut.y },
+          to: handles[1],
+        }
+      );
+    });
+
+    if (nodes.length > 0) {
+      this.execute({ type: CommandTypes.SET_NODE_TYPES, nodes, positions });
+    }
+  };
+  // returns the control point positions that change when the given control
+  // point of the group is moved to the position, including its linked partner
+  getControlMovePositions = (group, controlIndex, pointIndex, position) => {
+    const { points, controls } = group;
+    const positions = [
+      { groupId: group.id, controlIndex, pointIndex, to: position },
+    ];
+
+    // the first control point starts from its point, the second ends at it
+    const pointIndexInGroup = getControlPointOwner(
+      group,
+      controlIndex,
+      pointIndex
+    );
+    const point = points[pointIndexInGroup];
+    const partner =
+      pointIndex === 0
+        ? {
+            controlIndex: getIncomingControlIndex(group, pointIndexInGroup),
+            pointIndex: 1,
+          }
+        : {
+            controlIndex: getOutgoingControlIndex(group, pointIndexInGroup),
+            pointIndex: 0,
+          };
+
+    if (point.nodeType === NodeTypes.CORNER || partner.controlIndex === -1) {
+      return positions;
+    }
+
+    const partnerPosition =
+      controls[partner.controlIndex].points[partner.pointIndex];
+    const linked = getLinkedPartner(
+      point.nodeType,
+      point,
+      position,
+      partnerPosition
+    );
+
+    if (linked) {
+      positions.push({ groupId: group.id, ...partner, to: linked });
+    }
+
+    return positions;
+  };
+  handlePointerMove = (event) => {
+    if (event.pointerType === 'touch' && this.touches.has(event.pointerId)) {
+      this.touches.set(event.pointerId, getCanvasPosition(event));
+
+      if (this.pinchStart) {
+        this.updatePinch();
+        return;
+      }
+    }
+    // only the first finger or pen edits
+    if (!event.isPrimary) return;
+
+    screenPos = getCanvasPosition(event);
+
+    // move the view along with the mouse
+    if (this.panStart) {
+      view = {
+        ...view,
+        x: this.panStart.viewX + screenPos.x - this.panStart.x,
+        y: this.panStart.viewY + screenPos.y - this.panStart.y,
+      };
+    }
+
+    this.shiftDown = event.shiftKey;
+    this.updateMousePos();
+  };
+  // derives the document space mouse position, snapped where applicable
+  updateMousePos = () => {
+    mousePos = this.snapPosition(toDocumentSpace(screenPos));
+  };
+  // returns what is being placed or dragged for snapping, or null if nothing is;
+  // start is the mouse position at the start of the drag and anchor the
+  // position of the dragged item at that time
+  getSnapContext = () => {
+    const group = this.activeCurveGroup;
+
+    if (group && this.dragPoint !== null) {
+      const point = group.points[this.dragPoint];
+
+      return {
+        start: this.dragStart,
+        anchor: point,
+        angleOrigin: point,
+        exclude: getAttachedPositionRefs(group, this.dragPoint),
+      };
+    }
+    if (group && this.dragControl !== null) {
+      const [controlIndex, pointIndex] = this.dragControl;
+      const handle = group.controls[controlIndex].points[pointIndex];
+
+      return {
+        start: this.dragStart,
+        anchor: handle,
+        // constrain the angle around the point the control point belongs to
+        angleOrigin:
+          group.points[getControlPointOwner(group, controlIndex, pointIndex)],
+        exclude: this.getControlMovePositions(
+          group,
+          controlIndex,
+          pointIndex,
+          handle
+        ),
+      };
+    }
+    if (this.dragOrigin) {
+      return {
+        start: this.dragStart,
+        anchor: this.originPos,
+        angleOrigin: this.originPos,
+        exclude: [{ origin: true }],
+      };
+    }
+    if (this.selectionDrag?.mode === 'move') {
+      const { start, grab } = this.selectionDrag;
+
+      return {
+        start,
+        anchor: grab,
+        angleOrigin: grab,
+        exclude: this.getSelectionTargets(),
+      };
+    }
+    if (this.reference.moving) {
+      return {
+        start: this.reference.dragPosition,
+        anchor: this.reference.offset,
+        angleOrigin: this.reference.offset,
+        exclude: [{ reference: true }],
+      };
+    }
+    if (group && activeTool === ToolTypes.ADD_POINTS) {
+      // constrain the angle to the previous point
+      return {
+        start: null,
+        anchor: null,
+        angleOrigin: group.points[group.points.length - 1] || null,
+        exclude: [],
+      };
+    }
+
+    return null;
+  };
+  // snaps the position so that the placed or dragged item lands on a target
+  snapPosition = (position) => {
+    this.snapTarget = null;
+
+    const context = this.getSnapContext();
+    if (!context) return position;
+
+    const { start, anchor } = context;
+    // the position the item would have without snapping
+    const item = anchor
+      ? {
+          x: anchor.x + position.x - start.x,
+          y: anchor.y + position.y - start.y,
+        }
+      : position;
+
+    const target = this.findSnapTarget(item, context);
+    if (!target) return position;
+
+    this.snapTarget = target;
+
+    return anchor
+      ? {
+          x: start.x + target.x - anchor.x,
+          y: start.y + target.y - anchor.y,
         }
+      : { x: target.x, y: target.y };
+  };
+  // returns the snapped position for the item along with what it snapped to,
+  // or null if nothing is in range
+  findSnapTarget = (item, { angleOrigin, exclude }) => {
+    const range = snapRange / view.zoom;
+    const excludedKeys = exclude.map(getPositionKey);
+
+    // constrain the angle while holding shift
+    if (this.snapping.angles && this.shiftDown && angleOrigin) {
+      const distance = getPointDistance(angleOrigin, item);
+      const angle =
+        Math.round(
+          Math.atan2(item.y - angleOrigin.y, item.x - angleOrigin.x) /
+            snapAngleStep
+        ) * snapAngleStep;
+      const x = angleOrigin.x + Math.cos(angle) * distance;
+      const y = angleOrigin.y + Math.sin(angle) * distance;
+
+      return { type: 'angle', x, y, guides: [[angleOrigin, { x, y }]] };
+    }
+
+    // look for the nearest single position
+    let nearest = null;
+    let nearestDistance = range;
+    const consider = (position, ref) => {
+      if (excludedKeys.includes(getPositionKey(ref))) return;
+
+      const distance = getPointDistance(position, item);
+      if (distance < nearestDistance) {
+        nearest = {
+          type: 'position',
+          x: position.x,
+          y: position.y,
+          guides: [],
+        };
+        nearestDistance = distance;
+      }
+    };
+
+    if (this.snapping.points) {
+      this.curveGroups.forEach(({ id, points, controls }) => {
+        points.forEach((point, index) =>
+          consider(point, { groupId: id, index })
+        );
+        controls.forEach((control, controlIndex) =>
+          control.points.forEach((point, pointIndex) =>
+            consider(point, { groupId: id, controlIndex, pointIndex })
+          )
+        );
+      });
+    }
+    if (this.snapping.origin) {
+      consider(this.originPos, { origin: true });
+    }
+
+    const bounds =
+      this.snapping.reference && !excludedKeys.includes('reference')
+        ? this.reference.getBounds()
+        : null;
+
+    if (bounds) {
+      [
+        { x: bounds.minX, y: bounds.minY },
+        { x: bounds.maxX, y: bounds.minY },
+        { x: bounds.maxX, y: bounds.maxY },
+        { x: bounds.minX, y: bounds.maxY },
+      ].forEach((corner) => consider(corner, { reference: true }));
+    }
+
+    if (nearest) return nearest;
+
+    // otherwise snap each axis to the reference edges or the grid
+    let { x, y } = item;
+    const guides = [];
+
+    if (bounds) {
+      const edgeX = [bounds.minX, bounds.maxX].find(
+        (edge) => Math.abs(edge - item.x) < range
+      );
+      const edgeY = [bounds.minY, bounds.maxY].find(
+        (edge) => Math.abs(edge - item.y) < range
+      );
+
+      if (edgeX !== undefined) {
+        x = edgeX;
+        guides.push([
+          { x: edgeX, y: bounds.minY },
+          { x: edgeX, y: bounds.maxY },
+        ]);
+      }
+      if (edgeY !== undefined) {
+        y = edgeY;
+        guides.push([
+          { x: bounds.minX, y: edgeY },
+          { x: bounds.maxX, y: edgeY },
+        ]);
       }
     }
 
-    return { x1, y1, x2, y2 };
+    const spacing = Number(this.snapping.gridSpacing);
+    const grid = this.snapping.grid && spacing > 0;
+
+    if (grid) {
+      // the axes that didn't snap to an edge
+      if (x === item.x) x = Math.round(x / spacing) * spacing;
+      if (y === item.y) y = Math.round(y / spacing) * spacing;
+    }
+
+    return grid || guides.length > 0 ? { type: 'axis', x, y, guides } : null;
+  };
+  setExportScope = (key, value) => {
+    this.exportScope = { ...this.exportScope, [key]: value };
+  };
+  setCoordinateSystem = (key, value) => {
+    this.coordinateSystem = { ...this.coordinateSystem, [key]: value };
+  };
+  setSVGExport = (key, value) => {
+    this.svgExport = { ...this.svgExport, [key]: value };
+  };
+  setQuadraticExport = (key, value) => {
+    this.quadraticExport = { ...this.quadraticExport, [key]: value };
+  };
+  setPolylineExport = (key, value) => {
+    this.polylineExport = { ...this.polylineExport, [key]: value };
+  };
+  setGCodeExport = (key, value) => {
+    this.gcodeExport = { ...this.gcodeExport, [key]: value };
+    this.toolpathCache = null;
+  };
+  setDXFExport = (key, value) => {
+    this.dxfExport = { ...this.dxfExport, [key]: value };
+  };
+  setImageExport = (key, value) => {
+    this.imageExport = { ...this.imageExport, [key]: value };
+  };
+  setPDFExport = (key, value) => {
+    this.pdfExport = { ...this.pdfExport, [key]: value };
+  };
+  setLottieExport = (key, value) => {
+    this.lottieExport = { ...this.lottieExport, [key]: value };
+  };
+  setCodeExport = (key, value) => {
+    this.codeExport = { ...this.codeExport, [key]: value };
+  };
+  setSnapping = (key, value) => {
+    this.snapping = { ...this.snapping, [key]: value };
+    this.updateMousePos();
+  };
+  drawGrid = () => {
+    const spacing = Number(this.snapping.gridSpacing);
+    if (!(spacing > 0) || spacing * view.zoom < minGridSpacing) return;
+
+    // the visible document area
+    const topLeft = toDocumentSpace({ x: 0, y: 0 });
+    const bottomRight = toDocumentSpace({ x: canvasWidth, y: canvasHeight });
+
+    ctx.lineWidth = 1 / view.zoom;
+    ctx.strokeStyle = gridColor;
+    ctx.beginPath();
+    for (
+      let x = Math.floor(topLeft.x / spacing) * spacing;
+      x <= bottomRight.x;
+      x += spacing
+    ) {
+      ctx.moveTo(x, topLeft.y);
+      ctx.lineTo(x, bottomRight.y);
+    }
+    for (
+      let y = Math.floor(topLeft.y / spacing) * spacing;
+      y <= bottomRight.y;
+      y += spacing
+    ) {
+      ctx.moveTo(topLeft.x, y);
+      ctx.lineTo(bottomRight.x, y);
+    }
+    ctx.stroke();
+  };
+  drawSnapTarget = () => {
+    const { x, y, guides } = this.snapTarget;
+
+    ctx.lineWidth = 1 / view.zoom;
+    ctx.strokeStyle = this.controlColor;
+
+    // draw the guides the position snapped along
+    ctx.setLineDash([4 / view.zoom, 4 / view.zoom]);
+    guides.forEach(([from, to]) => {
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // mark the snapped position
+    ctx.beginPath();
+    ctx.arc(x, y, (this.pointSize * 0.75) / view.zoom, 0, Math.PI * 2);
+    ctx.stroke();
+  };
+  // stops long presses and pen barrel buttons from opening the context menu
+  handleContextMenu = (event) => {
+    event.preventDefault();
   };
-  handleMouseMove = (event) => {
-    const rect = canvas.getBoundingClientRect();
-    mousePos = {
-      x: event.clientX - rect.x,
-      y: event.clientY - rect.y,
+  // starts a two finger pan and zoom from the current touch positions
+  startPinch = () => {
+    const [touch1, touch2] = this.touches.values();
+
+    this.pinchStart = {
+      center: lerpPoint(touch1, touch2, 0.5),
+      distance: Math.max(getDistance(touch1, touch2), 1),
+      view: { ...view },
+    };
+  };
+  // pans by the movement of the center between the fingers and zooms by the
+  // change in distance between them
+  updatePinch = () => {
+    const [touch1, touch2] = this.touches.values();
+    const { center, distance } = this.pinchStart;
+    const start = this.pinchStart.view;
+    const newCenter = lerpPoint(touch1, touch2, 0.5);
+    const newDistance = Math.max(getDistance(touch1, touch2), 1);
+
+    view = {
+      ...start,
+      x: start.x + newCenter.x - center.x,
+      y: start.y + newCenter.y - center.y,
     };
+    this.zoomAt(
+      (start.zoom * newDistance) / distance,
+      newCenter.x,
+      newCenter.y
+    );
   };
-  handleMouseDown = () => {
+  handlePointerDown = (event) => {
+    screenPos = getCanvasPosition(event);
+    this.shiftDown = event.shiftKey;
+    // touches and pen taps don't hover before they go down
+    this.updateMousePos();
+
+    if (event.pointerType === 'touch') {
+      this.touches.set(event.pointerId, screenPos);
+
+      // a second finger turns whatever the first one started into a gesture
+      if (this.touches.size === 2) {
+        this.cancelDrag();
+        this.startPinch();
+        return;
+      }
+      if (this.touches.size > 2 || this.pinchStart) return;
+    }
+    // only the first finger or pen edits
+    if (!event.isPrimary) return;
+    // ignore the right mouse button and pen eraser
+    if (event.button !== 0 && event.button !== 1) return;
+
+    // keep receiving the pointer while dragging outside of the canvas
+    canvas.setPointerCapture(event.pointerId);
+
+    // pan with the middle mouse button or while holding space
+    if (event.button === 1 || (event.button === 0 && this.spaceDown)) {
+      if (!isOnCanvas(screenPos)) return;
+
+      // prevent middle click auto scrolling
+      event.preventDefault();
+
+      this.panStart = {
+        x: screenPos.x,
+        y: screenPos.y,
+        viewX: view.x,
+        viewY: view.y,
+      };
+      this.updateCursor();
+      return;
+    }
+
     const mouseX = mousePos.x;
     const mouseY = mousePos.y;
 
@@ -759,89 +3364,177 @@ export class DrawingHelper {
           return;
         }
 
-        if (
-          mouseX < 0 ||
-          mouseX > canvasWidth ||
-          mouseY < 0 ||
-          mouseY > canvasHeight
-        )
+        if (!isOnCanvas(screenPos)) return;
+
+        const { points, closed, id } = this.activeCurveGroup;
+
+        // clicking the first point closes the path
+        if (!closed && points.length > 1) {
+          const range = this.pointRangeHalf / view.zoom;
+          const { x, y } = points[0];
+
+          if (
+            mouseX > x - range &&
+            mouseX < x + range &&
+            mouseY > y - range &&
+            mouseY < y + range
+          ) {
+            this.toggleClosed();
+            break;
+          }
+        }
+
+        if (closed) {
+          this.setMessage(
+            'Cannot add point; The path is closed. Open it or use the insert tool instead.'
+          );
           return;
+        }
+
+        // the new point
+        const point2 = new Point(mouseX, mouseY);
+        let control = null;
+
+        // every point after the first will create control points
+        if (points.length > 0) {
+          // the previous last point
+          control = getStraightControl(points[points.length - 1], point2);
+        }
+
+        // create the point and its control
+        this.execute({
+          type: CommandTypes.ADD_POINT,
+          groupId: id,
+          point: { x: point2.x, y: point2.y },
+          control,
+        });
+        break;
+      }
+      case ToolTypes.SELECT_POINTS: {
+        if (!isOnCanvas(screenPos)) return;
+
+        const start = { x: mouseX, y: mouseY };
+        const bounds = this.getSelectionBounds();
+
+        // scale or rotate with the gizmo handles
+        const handle = this.findGizmoHandle(mouseX, mouseY);
+        if (handle) {
+          this.selectionDrag = {
+            mode: handle.mode,
+            start,
+            bounds,
+            handle,
+            uniform: event.shiftKey,
+          };
+          break;
+        }
+
+        const ref = this.findSelectablePoint(mouseX, mouseY);
+        if (ref) {
+          const selected = this.isSelected(ref.groupId, ref.index);
+
+          if (event.shiftKey) {
+            // toggle the point
+            if (selected) {
+              this.selection = this.selection.filter(
+                ({ groupId, index }) =>
+                  groupId !== ref.groupId || index !== ref.index
+              );
+              break;
+            }
+            this.selection = this.selection.concat(ref);
+          } else if (!selected) {
+            this.selection = [ref];
+          }
 
-        // create a new point
-        this.activeCurveGroup.points.push(new Point(mouseX, mouseY));
+          this.selectionDrag = {
+            mode: 'move',
+            start,
+            bounds,
+            // snap the grabbed point while moving
+            grab: { ...this.getPosition(ref) },
+          };
+          break;
+        }
 
-        const { points } = this.activeCurveGroup;
-        // every point after the first will create control points
-        if (points.length > 1) {
-          // get the last two points, including the one that was just created
-          const [point1, point2] = points.slice(points.length - 2);
+        // move the selection by dragging inside its bounds; the bounds are
+        // padded so that flat selections can still be grabbed
+        const range = this.pointRangeHalf / view.zoom;
+        if (
+          bounds &&
+          this.selection.length > 1 &&
+          !event.shiftKey &&
+          mouseX > bounds.minX - range &&
+          mouseX < bounds.maxX + range &&
+          mouseY > bounds.minY - range &&
+          mouseY < bounds.maxY + range
+        ) {
+          this.selectionDrag = { mode: 'move', start, bounds, grab: start };
+          break;
+        }
 
-          const angle = Math.atan2(point2.y - point1.y, point2.x - point1.x);
-          const distance = point1.distanceTo(point2);
+        // otherwise select with a marquee
+        this.selectionDrag = {
+          mode: 'marquee',
+          start,
+          additive: event.shiftKey,
+        };
+        break;
+      }
+      case ToolTypes.INSERT_POINTS: {
+        if (!this.activeCurveGroup) return;
 
-          const x1 = point1.x + Math.cos(angle) * distance * 0.2;
-          const y1 = point1.y + Math.sin(angle) * distance * 0.2;
-          const x2 = point1.x + Math.cos(angle) * distance * 0.8;
-          const y2 = point1.y + Math.sin(angle) * distance * 0.8;
+        // search for the curve
+        const hit = this.findCurveHit(mouseX, mouseY);
+        if (hit) {
+          this.insertPoint(hit.controlIndex, hit.t);
+        }
+        break;
+      }
+      case ToolTypes.DELETE_POINTS: {
+        if (!this.activeCurveGroup) return;
 
-          // create a control point
-          this.activeCurveGroup.controls.push(new Control(x1, y1, x2, y2));
+        // search for points
+        const index = this.findPointIndex(mouseX, mouseY);
+        if (index !== -1) {
+          this.deletePoint(index);
         }
         break;
       }
       case ToolTypes.EDIT_POINTS: {
         if (!this.activeCurveGroup) return;
 
-        const { points } = this.activeCurveGroup;
-
         // search for points
-        for (let i = 0; i < points.length; i++) {
-          const { x, y } = points[i];
-          if (
-            mouseX > x - this.pointRangeHalf &&
-            mouseX < x + this.pointRangeHalf &&
-            mouseY > y - this.pointRangeHalf &&
-            mouseY < y + this.pointRangeHalf
-          ) {
-            // store the point index
-            this.dragPoint = i;
-            this.dragStart = { x: mouseX, y: mouseY };
-            break;
-          }
+        const index = this.findPointIndex(mouseX, mouseY);
+        if (index !== -1) {
+          // store the point index
+          this.dragPoint = index;
+          // holding alt moves the point without its control points
+          this.dragPointAlone = event.altKey;
+          this.dragStart = { x: mouseX, y: mouseY };
         }
         break;
       }
       case ToolTypes.EDIT_CONTROLS: {
         if (!this.activeCurveGroup) return;
 
-        const { controls } = this.activeCurveGroup;
-
         // search for control points
-        for (let i = 0; i < controls.length; i++) {
-          const { points } = controls[i];
-          for (let j = 0; j < 2; j++) {
-            const { x, y } = points[j];
-            if (
-              mouseX > x - this.pointRangeHalf &&
-              mouseX < x + this.pointRangeHalf &&
-              mouseY > y - this.pointRangeHalf &&
-              mouseY < y + this.pointRangeHalf
-            ) {
-              // store the control index and control point index
-              this.dragControl = [i, j];
-              this.dragStart = { x: mouseX, y: mouseY };
-              break;
-            }
-          }
+        const control = this.findControlPoint(mouseX, mouseY);
+        if (control) {
+          // store the control index and control point index
+          this.dragControl = [control.controlIndex, control.pointIndex];
+          this.dragStart = { x: mouseX, y: mouseY };
         }
         break;
       }
       case ToolTypes.EDIT_ORIGIN_POINT: {
+        const range = originSizeHalf / view.zoom;
+
         if (
-          mouseX > this.originPos.x - originSizeHalf &&
-          mouseX < this.originPos.x + originSizeHalf &&
-          mouseY > this.originPos.y - originSizeHalf &&
-          mouseY < this.originPos.y + originSizeHalf
+          mouseX > this.originPos.x - range &&
+          mouseX < this.originPos.x + range &&
+          mouseY > this.originPos.y - range &&
+          mouseY < this.originPos.y + range
         ) {
           this.dragOrigin = true;
           this.dragStart = { x: mouseX, y: mouseY };
@@ -853,11 +3546,97 @@ export class DrawingHelper {
     // call reference method
     this.reference.onMouseDown();
   };
-  handleMouseUp = () => {
+  // the browser took over the pointer, e.g. for a system gesture
+  handlePointerCancel = (event) => {
+    this.touches.delete(event.pointerId);
+
+    if (this.pinchStart) {
+      if (this.touches.size < 2) {
+        this.pinchStart = null;
+      }
+      return;
+    }
+    if (event.isPrimary) {
+      this.cancelDrag();
+    }
+  };
+  handlePointerUp = (event) => {
+    if (event.pointerType === 'touch') {
+      this.touches.delete(event.pointerId);
+
+      // the gesture ends once fewer than two fingers are down
+      if (this.pinchStart) {
+        if (this.touches.size < 2) {
+          this.pinchStart = null;
+        }
+        return;
+      }
+    }
+    if (!event.isPrimary) return;
+
+    // finish panning
+    if (this.panStart) {
+      this.panStart = null;
+      this.updateCursor();
+      return;
+    }
+
     const mouseX = mousePos.x;
     const mouseY = mousePos.y;
 
     switch (activeTool) {
+      case ToolTypes.SELECT_POINTS: {
+        if (!this.selectionDrag) return;
+
+        if (this.selectionDrag.mode === 'marquee') {
+          const { start, additive } = this.selectionDrag;
+          const minX = Math.min(start.x, mouseX);
+          const minY = Math.min(start.y, mouseY);
+          const maxX = Math.max(start.x, mouseX);
+          const maxY = Math.max(start.y, mouseY);
+
+          // find every selectable point inside the marquee
+          const found = this.curveGroups
+            .filter(this.isSelectableGroup)
+            .flatMap(({ id, points }) =>
+              points
+                .map(({ x, y }, index) =>
+                  x >= minX && x <= maxX && y >= minY && y <= maxY
+                    ? { groupId: id, index }
+                    : null
+                )
+                .filter(Boolean)
+            );
+
+          this.selection = additive
+            ? this.selection.concat(
+                found.filter(
+                  ({ groupId, index }) => !this.isSelected(groupId, index)
+                )
+              )
+            : found;
+        } else {
+          // commit the transform
+          const matrix = this.getSelectionMatrix();
+          const positions = this.getSelectionTargets()
+            .map((ref) => {
+              const { x, y } = this.getPosition(ref);
+              return {
+                ...ref,
+                from: { x, y },
+                to: applyMatrix(matrix, { x, y }),
+              };
+            })
+            .filter(({ from, to }) => from.x !== to.x || from.y !== to.y);
+
+          if (positions.length > 0) {
+            this.execute({ type: CommandTypes.SET_POSITIONS, positions });
+          }
+        }
+
+        this.selectionDrag = null;
+        break;
+      }
       case ToolTypes.EDIT_POINTS: {
         // if there's no active group or not dragging
         if (!this.activeCurveGroup || this.dragPoint === null) return;
@@ -866,10 +3645,16 @@ export class DrawingHelper {
         const deltaX = mouseX - this.dragStart.x;
         const deltaY = mouseY - this.dragStart.y;
 
-        // look up the point being dragged
-        const point = this.activeCurveGroup.points[this.dragPoint];
-        point.x += deltaX;
-        point.y += deltaY;
+        if (deltaX !== 0 || deltaY !== 0) {
+          this.execute({
+            type: CommandTypes.MOVE_POINT,
+            groupId: this.activeCurveGroup.id,
+            index: this.dragPoint,
+            withControls: !this.dragPointAlone,
+            dx: deltaX,
+            dy: deltaY,
+          });
+        }
 
         // clear drag point
         this.dragPoint = null;
@@ -884,11 +3669,37 @@ export class DrawingHelper {
         const deltaX = mouseX - this.dragStart.x;
         const deltaY = mouseY - this.dragStart.y;
 
-        // look up the control point being dragged
-        const [controlIndex, pointIndex] = this.dragControl;
-        const control = this.activeCurveGroup.controls[controlIndex];
-        control.points[pointIndex].x += deltaX;
-        control.points[pointIndex].y += deltaY;
+        if (deltaX !== 0 || deltaY !== 0) {
+          const [controlIndex, pointIndex] = this.dragControl;
+          const { x, y } =
+            this.activeCurveGroup.controls[controlIndex].points[pointIndex];
+          const positions = this.getControlMovePositions(
+            this.activeCurveGroup,
+            controlIndex,
+            pointIndex,
+            { x: x + deltaX, y: y + deltaY }
+          );
+
+          if (positions.length === 1) {
+            this.execute({
+              type: CommandTypes.MOVE_CONTROL,
+              groupId: this.activeCurveGroup.id,
+              controlIndex,
+              pointIndex,
+              dx: deltaX,
+              dy: deltaY,
+            });
+          } else {
+            // move the linked partner along with it
+            this.execute({
+              type: CommandTypes.SET_POSITIONS,
+              positions: positions.map(({ to, ...ref }) => {
+                const { x, y } = this.getPosition(ref);
+                return { ...ref, from: { x, y }, to };
+              }),
+            });
+          }
+        }
 
         // clear drag control
         this.dragControl = null;
@@ -901,8 +3712,13 @@ export class DrawingHelper {
           const deltaX = mouseX - this.dragStart.x;
           const deltaY = mouseY - this.dragStart.y;
 
-          this.originPos.x += deltaX;
-          this.originPos.y += deltaY;
+          if (deltaX !== 0 || deltaY !== 0) {
+            this.execute({
+              type: CommandTypes.MOVE_ORIGIN,
+              dx: deltaX,
+              dy: deltaY,
+            });
+          }
 
           // clear drag origin
           this.dragOrigin = false;
@@ -912,8 +3728,21 @@ export class DrawingHelper {
       }
     }
 
-    // call reference method
-    this.reference.onMouseUp();
+    // call reference method and commit any transform change
+    const transform = this.reference.onMouseUp();
+    if (transform) {
+      const { from, to } = transform;
+      if (
+        from.scale !== to.scale ||
+        from.offset.x !== to.offset.x ||
+        from.offset.y !== to.offset.y
+      ) {
+        this.execute({ type: CommandTypes.TRANSFORM_REFERENCE, from, to });
+      }
+    }
+
+    // the drag has ended so stop snapping it
+    this.updateMousePos();
   };
 }
 
@@ -924,13 +3753,719 @@ function getPointDistance(point1, point2) {
   return Math.sqrt(a * a + b * b);
 }
 
-function getSVGCoords({ x, y }, precision) {
-  return `${y.toFixed(precision)} ${x.toFixed(precision)}`;
+// returns the path data of a group, with positions mapped by the transform;
+// relative commands are measured between rounded positions so that the
+// rounding doesn't add up along the path, and the curves are written as
+// quadratic segments when given a tolerance
+function getSVGPathData(
+  group,
+  { transform, precision, relative, minify, quadraticTolerance }
+) {
+  const { points, closed } = group;
+  const round = (position) => {
+    const { x, y } = transform(position);
+    return {
+      x: Number(x.toFixed(precision)),
+      y: Number(y.toFixed(precision)),
+    };
+  };
+  const formatPair = ({ x, y }, from) => {
+    const pair = [x - from.x, y - from.y].map((value) =>
+      formatSVGNumber(value, precision, minify)
+    );
+    // minified numbers only need a space when the next one isn't negative
+    return minify
+      ? pair.join(pair[1].startsWith('-') ? '' : ' ')
+      : pair.join(' ');
+  };
+  const joinPairs = (pairs) =>
+    minify
+      ? pairs.reduce((data, pair) =>
+          pair.startsWith('-') ? data + pair : `${data} ${pair}`
+        )
+      : pairs.join(', ');
+  const origin = { x: 0, y: 0 };
+
+  let current = round(points[0]);
+  const commands = [`M${formatPair(current, origin)}`];
+
+  // each command lists its control points and its end point
+  const segments =
+    quadraticTolerance === null
+      ? getGroupSegments(group).map(([, ...segment]) => segment)
+      : getGroupQuadratics(group, quadraticTolerance)
+          .flat()
+          .map(([, ...segment]) => segment);
+
+  // connect all the points via curves, back to the first if closed
+  segments.forEach((segment) => {
+    const command = segment.length === 2 ? 'Q' : 'C';
+    const from = relative ? current : origin;
+    const positions = segment.map(round);
+
+    commands.push(
+      `${relative ? command.toLowerCase() : command}${joinPairs(
+        positions.map((position) => formatPair(position, from))
+      )}`
+    );
+    current = positions[positions.length - 1];
+  });
+  if (closed) {
+    commands.push(relative ? 'z' : 'Z');
+  }
+
+  return commands.join(minify ? '' : ' ');
+}
+
+// replaces the characters file systems don't allow in names, and whitespace,
+// with dashes; returns an empty string for names with nothing else
+function getFileName(name) {
+  return String(name)
+    .replace(/[\\/:*?"<>|\x00-\x1f\s]+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+}
+
+// returns the area between the two corners in the export coordinate system,
+// which may flip the corners
+function getExportArea(corners, toPosition) {
+  const [corner1, corner2] = corners.map(toPosition);
+  const x = Math.min(corner1.x, corner2.x);
+  const y = Math.min(corner1.y, corner2.y);
+
+  return {
+    x,
+    y,
+    width: Math.max(corner1.x, corner2.x) - x,
+    height: Math.max(corner1.y, corner2.y) - y,
+  };
+}
+
+// escapes the characters that would end an attribute value or start markup
+function escapeSVGAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// formats a number for svg output; minified numbers drop trailing zeros and
+// leading zeros before the decimal point
+function formatSVGNumber(value, precision, minify) {
+  const fixed = value.toFixed(precision);
+  if (!minify) return fixed;
+
+  const number = Number(fixed);
+  if (number === 0) return '0';
+
+  return String(number).replace(/^(-?)0\./, '$1.');
+}
+
+function getJSONCoords({ x, y }, precision) {
+  return [x.toFixed(precision), y.toFixed(precision)];
+}
+
+function serializeControl({ points: [point1, point2] }) {
+  return {
+    x1: point1.x,
+    y1: point1.y,
+    x2: point2.x,
+    y2: point2.y,
+  };
+}
+
+function serializePoint({ x, y, nodeType }) {
+  return { x, y, nodeType };
+}
+
+function createPointInstance({ x, y, nodeType }) {
+  // points saved before node types existed are corners
+  return new Point(x, y, nodeType ?? NodeTypes.CORNER);
+}
+
+function serializeGroup({ id, name, points, controls, closed }) {
+  return {
+    id,
+    name,
+    closed,
+    points: points.map(serializePoint),
+    controls: controls.map(serializeControl),
+  };
+}
+
+function createGroupInstance({
+  id,
+  name = '',
+  points,
+  controls,
+  closed = false,
+}) {
+  const groupInstance = new CurveGroup(id);
+  groupInstance.name = name;
+  groupInstance.closed = closed;
+
+  // create point instances
+  groupInstance.points = points.map(createPointInstance);
+  // create control instances
+  groupInstance.controls = controls.map(createControlInstance);
+
+  return groupInstance;
+}
+
+function createControlInstance({ x1, y1, x2, y2 }) {
+  return new Control(x1, y1, x2, y2);
+}
+
+// whether key presses on the element are meant for the editor; clicking the
+// canvas leaves the focus on the body
+export function isEditorTarget(element) {
+  return (
+    element === canvas ||
+    element === document.body ||
+    element === document.documentElement
+  );
+}
+
+function isTextInput(element) {
+  return (
+    element.tagName === 'INPUT' ||
+    element.tagName === 'TEXTAREA' ||
+    element.isContentEditable
+  );
+}
+
+// returns the event position in canvas space; the client rect is relative to
+// the viewport like the event, and the canvas may be scaled by css
+function getCanvasPosition({ clientX, clientY }) {
+  const rect = canvas.getBoundingClientRect();
+  const scaleX = canvas.clientWidth ? canvas.width / canvas.clientWidth : 1;
+  const scaleY = canvas.clientHeight ? canvas.height / canvas.clientHeight : 1;
+
+  return {
+    x: (clientX - rect.left - canvas.clientLeft) * scaleX,
+    y: (clientY - rect.top - canvas.clientTop) * scaleY,
+  };
+}
+
+function toDocumentSpace({ x, y }) {
+  return {
+    x: (x - view.x) / view.zoom,
+    y: (y - view.y) / view.zoom,
+  };
+}
+
+function isOnCanvas({ x, y }) {
+  return x >= 0 && x <= canvasWidth && y >= 0 && y <= canvasHeight;
+}
+
+// returns the cubic segments of a group as [start, control1, control2, end];
+// a closed group ends with the segment back to its first point
+function getGroupSegments({ points, controls }) {
+  return controls.map((control, i) => [
+    points[i],
+    ...control.points,
+    points[(i + 1) % points.length],
+  ]);
+}
+
+// approximates each cubic segment of a group with quadratic segments; returns
+// a list of [start, control, end] pieces for each cubic segment
+function getGroupQuadratics(group, tolerance) {
+  return getGroupSegments(group).map((segment) =>
+    getCubicQuadratics(...segment, Math.max(Number(tolerance), 1e-3))
+  );
+}
+
+// samples the curve of a group as points with the direction of the curve and
+// the distance along it; open groups end on their last point, closed ones stop
+// short of their first
+function flattenGroup(group, { mode, count, tolerance, spacing }) {
+  const segments = getGroupSegments(group);
+  if (segments.length === 0) {
+    return group.points.map(({ x, y }) => ({ x, y, angle: 0, distance: 0 }));
+  }
+
+  const lengths = segments.map((segment) => getCubicLength(...segment));
+  // the distance along the group at the start of each segment
+  const starts = lengths.map((_, i) =>
+    lengths.slice(0, i).reduce((sum, length) => sum + length, 0)
+  );
+  const totalLength = starts[starts.length - 1] + lengths[lengths.length - 1];
+  const samples = [];
+
+  if (mode === FlattenModes.ARC_LENGTH) {
+    const step = Math.max(Number(spacing), totalLength / maxFlattenSamples);
+    let segmentIndex = 0;
+
+    for (let i = 0; i * step < totalLength - 1e-9; i++) {
+      const distance = i * step;
+      while (
+        segmentIndex < segments.length - 1 &&
+        starts[segmentIndex + 1] <= distance
+      ) {
+        segmentIndex++;
+      }
+
+      samples.push({
+        segmentIndex,
+        t: getCubicParamAtLength(
+          ...segments[segmentIndex],
+          distance - starts[segmentIndex]
+        ),
+      });
+    }
+  } else {
+    const sampleCount = Math.min(
+      Math.max(Math.round(Number(count)), 1),
+      maxFlattenSamples
+    );
+
+    segments.forEach((segment, segmentIndex) => {
+      const params =
+        mode === FlattenModes.TOLERANCE
+          ? getFlatCubicParams(...segment, Math.max(Number(tolerance), 1e-3))
+          : Array.from({ length: sampleCount }, (_, i) => i / sampleCount);
+
+      params.forEach((t) => samples.push({ segmentIndex, t }));
+    });
+  }
+
+  if (!group.closed) {
+    samples.push({ segmentIndex: segments.length - 1, t: 1 });
+  }
+
+  return samples.map(({ segmentIndex, t }) => {
+    const segment = segments[segmentIndex];
+    const { x, y } = getCubicPoint(...segment, t);
+
+    return {
+      x,
+      y,
+      angle: getCubicTangentAngle(...segment, t),
+      distance: starts[segmentIndex] + getCubicLength(...segment, t),
+    };
+  });
+}
+
+// returns the bounds of the curves drawn by the groups, or null if there are
+// none
+function getCurveBounds(groups) {
+  const bounds = groups
+    .flatMap(getGroupSegments)
+    .map((segment) => getCubicBounds(...segment));
+
+  if (bounds.length === 0) return null;
+
+  return {
+    minX: Math.min(...bounds.map(({ minX }) => minX)),
+    minY: Math.min(...bounds.map(({ minY }) => minY)),
+    maxX: Math.max(...bounds.map(({ maxX }) => maxX)),
+    maxY: Math.max(...bounds.map(({ maxY }) => maxY)),
+  };
+}
+
+// returns the bounds of every point and control point, or null if there are none
+function getGroupsBounds(groups) {
+  const positions = groups.flatMap(({ points, controls }) =>
+    points.concat(controls.flatMap((control) => control.points))
+  );
+
+  if (positions.length === 0) return null;
+
+  return {
+    minX: Math.min(...positions.map(({ x }) => x)),
+    minY: Math.min(...positions.map(({ y }) => y)),
+    maxX: Math.max(...positions.map(({ x }) => x)),
+    maxY: Math.max(...positions.map(({ y }) => y)),
+  };
+}
+
+// returns the scale handles on the corners of the bounds, each paired with the
+// opposite corner as its pivot, and the rotate handle above the bounds
+function getGizmoHandles({ minX, minY, maxX, maxY }, rotateOffset) {
+  return [
+    { mode: 'scale', x: minX, y: minY, pivot: { x: maxX, y: maxY } },
+    { mode: 'scale', x: maxX, y: minY, pivot: { x: minX, y: maxY } },
+    { mode: 'scale', x: maxX, y: maxY, pivot: { x: minX, y: minY } },
+    { mode: 'scale', x: minX, y: maxY, pivot: { x: maxX, y: minY } },
+    { mode: 'rotate', x: (minX + maxX) * 0.5, y: minY - rotateOffset },
+  ];
+}
+
+// returns the position of the partner control point so that it stays linked
+// to the moved control point, or null if it's unconstrained
+function getLinkedPartner(nodeType, point, position, partner) {
+  if (nodeType === NodeTypes.SYMMETRIC) {
+    // mirror the control point
+    return { x: point.x * 2 - position.x, y: point.y * 2 - position.y };
+  } else if (nodeType === NodeTypes.SMOOTH) {
+    // keep the partner's length but point it the opposite way
+    const length = getPointDistance(point, position);
+    if (length === 0) return null;
+
+    const partnerLength = getPointDistance(point, partner);
+    return {
+      x: point.x + ((point.x - position.x) / length) * partnerLength,
+      y: point.y + ((point.y - position.y) / length) * partnerLength,
+    };
+  }
+  return null;
 }
 
-function getJSONCoords({ x, y }, originPos, precision) {
+// returns both control points of the point after linking them for the node
+// type, or null if they can't be linked
+function getLinkedHandles(nodeType, point, handleIn, handleOut) {
+  const lengthIn = getPointDistance(point, handleIn);
+  const lengthOut = getPointDistance(point, handleOut);
+  // the shared direction runs from the incoming to the outgoing control point
+  const deltaX = handleOut.x - handleIn.x;
+  const deltaY = handleOut.y - handleIn.y;
+  const length = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+
+  if (length === 0) return null;
+
+  const directionX = deltaX / length;
+  const directionY = deltaY / length;
+  const [newLengthIn, newLengthOut] =
+    nodeType === NodeTypes.SYMMETRIC
+      ? [(lengthIn + lengthOut) * 0.5, (lengthIn + lengthOut) * 0.5]
+      : [lengthIn, lengthOut];
+
   return [
-    (x - originPos.x).toFixed(precision),
-    (y - originPos.y).toFixed(precision),
+    {
+      x: point.x - directionX * newLengthIn,
+      y: point.y - directionY * newLengthIn,
+    },
+    {
+      x: point.x + directionX * newLengthOut,
+      y: point.y + directionY * newLengthOut,
+    },
+  ];
+}
+
+// returns the point at the index along with the control points attached to it
+function getAttachedPositions(group, index) {
+  const { points, controls } = group;
+  const positions = [points[index]];
+  const incomingIndex = getIncomingControlIndex(group, index);
+  const outgoingIndex = getOutgoingControlIndex(group, index);
+
+  // the control point ending at the point
+  if (incomingIndex !== -1) {
+    positions.push(controls[incomingIndex].points[1]);
+  }
+  // the control point starting from the point
+  if (outgoingIndex !== -1) {
+    positions.push(controls[outgoingIndex].points[0]);
+  }
+
+  return positions;
+}
+
+// returns the refs of the point at the index and the control points attached to it
+function getAttachedPositionRefs(group, index) {
+  const { id } = group;
+  const refs = [{ groupId: id, index }];
+  const incomingIndex = getIncomingControlIndex(group, index);
+  const outgoingIndex = getOutgoingControlIndex(group, index);
+
+  if (incomingIndex !== -1) {
+    refs.push({ groupId: id, controlIndex: incomingIndex, pointIndex: 1 });
+  }
+  if (outgoingIndex !== -1) {
+    refs.push({ groupId: id, controlIndex: outgoingIndex, pointIndex: 0 });
+  }
+
+  return refs;
+}
+
+// returns a unique key for a position ref, used for comparing refs
+function getPositionKey({ groupId, index, controlIndex, pointIndex, origin }) {
+  if (origin) return 'origin';
+  if (controlIndex !== undefined) {
+    return `${groupId}:${controlIndex}:${pointIndex}`;
+  }
+  if (groupId !== undefined) return `${groupId}:${index}`;
+
+  return 'reference';
+}
+
+// returns the index of the control ending at the point, or -1 if there's none
+function getIncomingControlIndex({ points, closed }, index) {
+  if (index > 0) return index - 1;
+
+  // the closing control ends at the first point
+  return closed ? points.length - 1 : -1;
+}
+
+// returns the index of the control starting from the point, or -1 if there's none
+function getOutgoingControlIndex({ controls }, index) {
+  return index < controls.length ? index : -1;
+}
+
+// returns the index of the point a control point belongs to; the first control
+// point starts from its point and the second ends at the next one
+function getControlPointOwner({ points }, controlIndex, pointIndex) {
+  return (controlIndex + pointIndex) % points.length;
+}
+
+// returns a control that makes a straight segment between the points
+function getStraightControl(point1, point2) {
+  const angle = Math.atan2(point2.y - point1.y, point2.x - point1.x);
+  const distance = getPointDistance(point1, point2);
+
+  return {
+    x1: point1.x + Math.cos(angle) * distance * 0.2,
+    y1: point1.y + Math.sin(angle) * distance * 0.2,
+    x2: point1.x + Math.cos(angle) * distance * 0.8,
+    y2: point1.y + Math.sin(angle) * distance * 0.8,
+  };
+}
+
+// returns the control that joins the segments on either side of the point
+function getMergedControl(group, index) {
+  const { points, controls } = group;
+  const incomingIndex = getIncomingControlIndex(group, index);
+  const previous = points[incomingIndex];
+  const next = points[(index + 1) % points.length];
+
+  const [control1, control2] = mergeCubics(
+    [previous, ...controls[incomingIndex].points, points[index]],
+    [points[index], ...controls[index].points, next]
+  );
+
+  return { x1: control1.x, y1: control1.y, x2: control2.x, y2: control2.y };
+}
+
+// parses the output of getJSONString in the coords, angle-distance or schema
+// format; positions are given as { x, y } objects or [angle, distance] pairs
+// relative to the origin point, in the coordinate system of the export
+function parseJSONExport(text, originPos, coordinateSystem) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The data is not valid JSON.');
+  }
+
+  let transform;
+  if (typeof data === 'object' && data !== null && 'version' in data) {
+    // schema positions are converted to pixels on reading
+    data = getSchemaGroups(data);
+    transform = {
+      fromPosition: (position) => position,
+      fromLength: (length) => length,
+      fromAngle: (angle) => angle,
+    };
+  } else {
+    // other exports are in the current coordinate system
+    transform = getImportTransform(coordinateSystem);
+  }
+
+  if (!Array.isArray(data)) {
+    throw new Error('Expected a list of curve groups.');
+  }
+
+  return data.map((group, groupIndex) => {
+    const location = `curve group ${groupIndex + 1}`;
+
+    if (!Array.isArray(group?.points) || !Array.isArray(group?.controls)) {
+      throw new Error(`Expected points and controls in ${location}.`);
+    }
+
+    const { points, controls } = group;
+    const closed = group.closed === true;
+    // one segment between each pair of points, and one more when closed
+    const controlCount =
+      points.length === 0 ? 0 : points.length - (closed ? 0 : 1);
+
+    if (controls.length !== controlCount) {
+      throw new Error(
+        `Expected ${controlCount} controls in ${location}, found ${controls.length}.`
+      );
+    }
+
+    return {
+      points: points.map((point, i) =>
+        parseJSONPosition(
+          point,
+          ['x', 'y'],
+          originPos,
+          transform,
+          `point ${i + 1} of ${location}`
+        )
+      ),
+      controls: controls.map((control, i) => {
+        const label = `control ${i + 1} of ${location}`;
+
+        // angle-distance controls list both control points in one array
+        if (Array.isArray(control)) {
+          return [
+            parseJSONPosition(
+              control.slice(0, 2),
+              [],
+              originPos,
+              transform,
+              label
+            ),
+            parseJSONPosition(
+              control.slice(2),
+              [],
+              originPos,
+              transform,
+              label
+            ),
+          ];
+        }
+
+        return [
+          parseJSONPosition(control, ['x1', 'y1'], originPos, transform, label),
+          parseJSONPosition(control, ['x2', 'y2'], originPos, transform, label),
+        ];
+      }),
+      closed,
+    };
+  });
+}
+
+// returns the groups of the schema format in the coords format, measured in
+// pixels
+function getSchemaGroups({ version, coordinateSystem, groups }) {
+  if (version !== schemaVersion) {
+    throw new Error(
+      `Unsupported schema version ${version}; expected ${schemaVersion}.`
+    );
+  }
+
+  const { scale = 1, yAxis = 'down' } = coordinateSystem ?? {};
+  if (scale === null) {
+    throw new Error('Normalized positions cannot be placed on the canvas.');
+  }
+  if (!(scale > 0)) {
+    throw new Error('Expected a positive coordinate system scale.');
+  }
+
+  // anything but a number is left for the position check to reject
+  const toPixels = (x, y) => [
+    typeof x === 'number' ? x / scale : x,
+    typeof y === 'number' ? ((yAxis === 'up' ? -1 : 1) * y) / scale : y,
   ];
+
+  if (!Array.isArray(groups)) {
+    throw new Error('Expected a list of curve groups.');
+  }
+
+  return groups.map((group) => {
+    if (!Array.isArray(group?.points) || !Array.isArray(group?.controls)) {
+      return group;
+    }
+
+    return {
+      closed: group.closed,
+      points: group.points.map((point) => {
+        const [x, y] = toPixels(point?.x, point?.y);
+        return { x, y };
+      }),
+      controls: group.controls.map((control) => {
+        const [x1, y1] = toPixels(control?.x1, control?.y1);
+        const [x2, y2] = toPixels(control?.x2, control?.y2);
+        return { x1, y1, x2, y2 };
+      }),
+    };
+  });
+}
+
+// converts an exported position back to document space through the import
+// transform; keys name the coordinates of a coords format object
+function parseJSONPosition(value, keys, originPos, transform, label) {
+  const isPair = Array.isArray(value);
+  const numbers = (isPair ? value : keys.map((key) => value?.[key])).map(
+    (number) => (number === null || number === '' ? NaN : Number(number))
+  );
+
+  if (numbers.length !== 2 || numbers.some((number) => !isFinite(number))) {
+    throw new Error(`Expected two numbers for ${label}.`);
+  }
+
+  if (isPair) {
+    const angle = transform.fromAngle(numbers[0]);
+    const distance = transform.fromLength(numbers[1]);
+    return {
+      x: originPos.x + Math.cos(angle) * distance,
+      y: originPos.y + Math.sin(angle) * distance,
+    };
+  }
+
+  const { x, y } = transform.fromPosition({ x: numbers[0], y: numbers[1] });
+  return { x: originPos.x + x, y: originPos.y + y };
+}
+
+// returns the serialized group for an imported path; the node types are
+// guessed from how the control points on either side of each point line up
+function createImportedGroup({ name = '', points, controls, closed }) {
+  const group = {
+    points,
+    controls: controls.map((controlPoints) => ({ points: controlPoints })),
+    closed,
+  };
+
+  return {
+    id: nanoid(10),
+    name,
+    closed,
+    points: points.map(({ x, y }, index) => ({
+      x,
+      y,
+      nodeType: getImportedNodeType(group, index),
+    })),
+    controls: controls.map(([point1, point2]) => ({
+      x1: point1.x,
+      y1: point1.y,
+      x2: point2.x,
+      y2: point2.y,
+    })),
+  };
+}
+
+function getImportedNodeType(group, index) {
+  const incomingIndex = getIncomingControlIndex(group, index);
+  const outgoingIndex = getOutgoingControlIndex(group, index);
+  if (incomingIndex === -1 || outgoingIndex === -1) return NodeTypes.CORNER;
+
+  const point = group.points[index];
+  const handleIn = group.controls[incomingIndex].points[1];
+  const handleOut = group.controls[outgoingIndex].points[0];
+  const lengthIn = getPointDistance(point, handleIn);
+  const lengthOut = getPointDistance(point, handleOut);
+  if (lengthIn < linkEpsilon || lengthOut < linkEpsilon)
+    return NodeTypes.CORNER;
+
+  // the handles have to point in opposite directions
+  const cross =
+    (handleIn.x - point.x) * (handleOut.y - point.y) -
+    (handleIn.y - point.y) * (handleOut.x - point.x);
+  const dot =
+    (handleIn.x - point.x) * (handleOut.x - point.x) +
+    (handleIn.y - point.y) * (handleOut.y - point.y);
+  if (dot >= 0 || Math.abs(cross) / (lengthIn * lengthOut) > linkEpsilon) {
+    return NodeTypes.CORNER;
+  }
+
+  return Math.abs(lengthIn - lengthOut) < linkEpsilon
+    ? NodeTypes.SYMMETRIC
+    : NodeTypes.SMOOTH;
+}
+
+// paths saved before closed paths existed were closed by syncing the last
+// point to the first; those duplicate points become a closing segment
+function migrateSyncedGroup(group) {
+  const { points, closed } = group;
+  if (closed !== undefined || points.length < 3) return group;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (first.x !== last.x || first.y !== last.y) return group;
+
+  // the last control now connects back to the first point
+  return { ...group, points: points.slice(0, -1), closed: true };
 }
@@ -0,0 +1,53 @@
+'use strict';
+
+// the maximum number of commands kept on each stack
+const defaultLimit = 200;
+
+export class History {
+  undoStack = [];
+  redoStack = [];
+  limit = defaultLimit;
+  constructor(limit = defaultLimit) {
+    this.limit = limit;
+  }
+  // adds a command that has already been applied
+  push = (command) => {
+    this.undoStack.push(command);
+    // any new command invalidates the redo stack
+    this.redoStack = [];
+
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+  };
+  // returns the command to revert, or null if there is none
+  undo = () => {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    this.redoStack.push(command);
+    return command;
+  };
+  // returns the command to re-apply, or null if there is none
+  redo = () => {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    this.undoStack.push(command);
+    return command;
+  };
+  canUndo = () => this.undoStack.length > 0;
+  canRedo = () => this.redoStack.length > 0;
+  clear = () => {
+    this.undoStack = [];
+    this.redoStack = [];
+  };
+  getSaveData = () => ({
+    undoStack: this.undoStack,
+    redoStack: this.redoStack,
+  });
+  setData = ({ undoStack = [], redoStack = [] }) => {
+    this.undoStack = undoStack.slice(-this.limit);
+    this.redoStack = redoStack.slice(-this.limit);
+  };
+}
@@ -1,16 +1,29 @@
 import React, { useEffect, useRef, useState } from 'react';
 import {
+  ArrowUturnLeftIcon,
+  ArrowUturnRightIcon,
   ArrowsPointingInIcon,
   ArrowsPointingOutIcon,
+  CursorArrowRaysIcon,
   PencilIcon,
   PencilSquareIcon,
+  PlusCircleIcon,
+  QuestionMarkCircleIcon,
   PlusIcon,
   ScissorsIcon,
   TrashIcon,
 } from '@heroicons/react/24/solid';
 import { nanoid } from 'nanoid';
 import cx from 'classnames';
-import { Button, FileInput, Label, Radio, TextInput } from 'flowbite-react';
+import {
+  Button,
+  Checkbox,
+  FileInput,
+  Label,
+  Radio,
+  Textarea,
+  TextInput,
+} from 'flowbite-react';
 import copy from 'copy-to-clipboard';
 import { saveAs } from 'file-saver';
 import produce from 'immer';
@@ -19,13 +32,40 @@ import {
   DrawingHelper,
   ToolTypes,
   ExportFormats,
+  ExportScopes,
+  FileNameSources,
+  FlattenModes,
+  ImageTypes,
   JSONFormats,
+  NodeTypes,
   storageKey,
+  isEditorTarget,
 } from '../../classes/DrawingHelper';
+import { GCodeCurves, GCodeTools } from '../../utils/gcode';
+import { DXFEntities } from '../../utils/dxf';
+import { PageUnits } from '../../utils/pdf';
+import { CodeLanguages } from '../../utils/code';
+import { createZip } from '../../utils/zip';
+import {
+  AngleDirections,
+  AngleUnits,
+  CoordinateUnits,
+} from '../../utils/coordinates';
 import { TimeAgo } from '../TimeAgo/TimeAgo';
+import { ShortcutsOverlay } from '../ShortcutsOverlay/ShortcutsOverlay';
 
 import styles from './App.module.css';
 
+// file extensions of the code snippet downloads
+const codeExtensions = {
+  [CodeLanguages.CANVAS]: 'js',
+  [CodeLanguages.PATH2D]: 'js',
+  [CodeLanguages.SWIFT_PATH]: 'swift',
+  [CodeLanguages.UIBEZIERPATH]: 'swift',
+  [CodeLanguages.COMPOSE]: 'kt',
+  [CodeLanguages.VECTOR_DRAWABLE]: 'xml',
+};
+
 const drawing = new DrawingHelper();
 
 const ToolButton = ({ children, title, active, type, onClick }) => (
@@ -46,11 +86,112 @@ export const App = () => {
 
   const [curveGroupIds, setCurveGroupIds] = useState([]);
   const [activeGroupId, setActiveGroupId] = useState(null);
+  const [activeGroupClosed, setActiveGroupClosed] = useState(false);
   const [exportFormat, setExportFormat] = useState(ExportFormats.SVG);
   const [jsonFormat, setJSONFormat] = useState(JSONFormats.ANGLE_DIST);
   const [message, setMessage] = useState('¯\\_(ツ)_/¯');
   const [activeTool, setActiveTool] = useState(ToolTypes.TRANSFORM_REFERENCE);
   const [lastSave, setLastSave] = useState(null);
+  const [canUndo, setCanUndo] = useState(false);
+  const [canRedo, setCanRedo] = useState(false);
+  const [selectAcrossGroups, setSelectAcrossGroups] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [snapping, setSnapping] = useState({
+    grid: false,
+    showGrid: false,
+    gridSpacing: '32',
+    points: false,
+    origin: false,
+    reference: false,
+    angles: true,
+  });
+  const [exportScope, setExportScope] = useState({
+    mode: ExportScopes.ALL,
+    groupIds: [],
+    perGroup: false,
+    fileNames: FileNameSources.NAMES,
+  });
+  const [coordinateSystem, setCoordinateSystem] = useState({
+    flipY: false,
+    units: CoordinateUnits.PIXELS,
+    scale: '1',
+    zeroAngle: '0',
+    angleUnits: AngleUnits.RADIANS,
+    direction: AngleDirections.CLOCKWISE,
+    normalize: false,
+  });
+  const [svgExport, setSVGExport] = useState({
+    strokeWidth: '2',
+    strokeColor: '',
+    fill: 'none',
+    fitViewBox: false,
+    padding: '0',
+    originRelative: false,
+    ids: false,
+    dataAttributes: false,
+    relative: false,
+    minify: false,
+    quadratic: false,
+  });
+  const [quadraticExport, setQuadraticExport] = useState({
+    tolerance: '0.5',
+  });
+  // segment counts of the last quadratic export
+  const [quadraticReport, setQuadraticReport] = useState(null);
+  const [gcodeExport, setGCodeExport] = useState({
+    curves: GCodeCurves.LINES,
+    tolerance: '0.05',
+    feedRate: '1000',
+    tool: GCodeTools.PEN,
+    penUp: 'M5',
+    penDown: 'M3 S1000',
+    spindleSpeed: '10000',
+    safeZ: '5',
+    cutZ: '-1',
+    plungeRate: '300',
+    optimizeTravel: true,
+    preview: false,
+  });
+  const [dxfExport, setDXFExport] = useState({
+    entities: DXFEntities.SPLINE,
+    tolerance: '0.05',
+  });
+  const [pdfExport, setPDFExport] = useState({
+    units: PageUnits.MILLIMETERS,
+    width: '210',
+    height: '297',
+    originX: '105',
+    originY: '148.5',
+    strokeWidth: '0.25',
+    strokeColor: '',
+  });
+  const [codeExport, setCodeExport] = useState({
+    language: CodeLanguages.CANVAS,
+    functions: false,
+  });
+  const [lottieExport, setLottieExport] = useState({
+    trimPath: false,
+    duration: '2',
+    frameRate: '30',
+  });
+  const [imageExport, setImageExport] = useState({
+    type: ImageTypes.PNG,
+    scale: '2',
+    transparent: true,
+    backgroundColor: '#ffffff',
+    crop: false,
+    padding: '0',
+    reference: false,
+  });
+  const [polylineExport, setPolylineExport] = useState({
+    mode: FlattenModes.COUNT,
+    count: '8',
+    tolerance: '0.5',
+    spacing: '10',
+    tangents: false,
+    distances: false,
+  });
 
   const [fields, setFields] = useState({
     lineWidth: '2',
@@ -74,7 +215,7 @@ export const App = () => {
       }
     };
 
-    drawing.init(canvasRef.current, setMessage);
+    drawing.init(canvasRef.current, setMessage, handleDrawingChange);
 
     // attempt to load a previous program state
     const state = localStorage.getItem(storageKey);
@@ -98,6 +239,137 @@ export const App = () => {
         if (json.activeTool !== undefined) {
           setActiveTool(json.activeTool);
         }
+        // selection scope
+        if (json.selectAcrossGroups !== undefined) {
+          setSelectAcrossGroups(json.selectAcrossGroups);
+        }
+        // snapping settings
+        if (json.snapping !== undefined) {
+          setSnapping((snapping) => ({
+            ...snapping,
+            ...json.snapping,
+            gridSpacing: String(json.snapping.gridSpacing),
+          }));
+        }
+        // export scope
+        if (json.exportScope !== undefined) {
+          setExportScope((exportScope) => ({
+            ...exportScope,
+            ...json.exportScope,
+          }));
+        }
+        // export coordinate system
+        if (json.coordinateSystem !== undefined) {
+          setCoordinateSystem((coordinateSystem) => {
+            const merged = { ...coordinateSystem, ...json.coordinateSystem };
+            // the number fields are strings
+            ['scale', 'zeroAngle'].forEach((key) => {
+              merged[key] = String(merged[key]);
+            });
+            return merged;
+          });
+        }
+        // svg export settings
+        if (json.svgExport !== undefined) {
+          setSVGExport((svgExport) => ({
+            ...svgExport,
+            ...json.svgExport,
+            strokeWidth: String(
+              json.svgExport.strokeWidth ?? svgExport.strokeWidth
+            ),
+            padding: String(json.svgExport.padding ?? svgExport.padding),
+          }));
+        }
+        // g-code export settings
+        if (json.gcodeExport !== undefined) {
+          setGCodeExport((gcodeExport) => {
+            const merged = { ...gcodeExport, ...json.gcodeExport };
+            // the number fields are strings
+            [
+              'tolerance',
+              'feedRate',
+              'spindleSpeed',
+              'safeZ',
+              'cutZ',
+              'plungeRate',
+            ].forEach((key) => {
+              merged[key] = String(merged[key]);
+            });
+            return merged;
+          });
+        }
+        // dxf export settings
+        if (json.dxfExport !== undefined) {
+          setDXFExport((dxfExport) => {
+            const merged = { ...dxfExport, ...json.dxfExport };
+            // the number fields are strings
+            merged.tolerance = String(merged.tolerance);
+            return merged;
+          });
+        }
+        // quadratic export settings
+        if (json.quadraticExport !== undefined) {
+          setQuadraticExport((quadraticExport) => ({
+            ...quadraticExport,
+            ...json.quadraticExport,
+            tolerance: String(
+              json.quadraticExport.tolerance ?? quadraticExport.tolerance
+            ),
+          }));
+        }
+        // pdf export settings
+        if (json.pdfExport !== undefined) {
+          setPDFExport((pdfExport) => {
+            const merged = { ...pdfExport, ...json.pdfExport };
+            // the number fields are strings
+            ['width', 'height', 'originX', 'originY', 'strokeWidth'].forEach(
+              (key) => {
+                merged[key] = String(merged[key]);
+              }
+            );
+            return merged;
+          });
+        }
+        // code snippet settings
+        if (json.codeExport !== undefined) {
+          setCodeExport((codeExport) => ({
+            ...codeExport,
+            ...json.codeExport,
+          }));
+        }
+        // lottie export settings
+        if (json.lottieExport !== undefined) {
+          setLottieExport((lottieExport) => {
+            const merged = { ...lottieExport, ...json.lottieExport };
+            // the number fields are strings
+            ['duration', 'frameRate'].forEach((key) => {
+              merged[key] = String(merged[key]);
+            });
+            return merged;
+          });
+        }
+        // image export settings
+        if (json.imageExport !== undefined) {
+          setImageExport((imageExport) => {
+            const merged = { ...imageExport, ...json.imageExport };
+            // the number fields are strings
+            ['scale', 'padding'].forEach((key) => {
+              merged[key] = String(merged[key]);
+            });
+            return merged;
+          });
+        }
+        // polyline export settings
+        if (json.polylineExport !== undefined) {
+          setPolylineExport((polylineExport) => {
+            const merged = { ...polylineExport, ...json.polylineExport };
+            // the number fields are strings
+            ['count', 'tolerance', 'spacing'].forEach((key) => {
+              merged[key] = String(merged[key]);
+            });
+            return merged;
+          });
+        }
 
         // values that are part of the fields object
         setFields(
@@ -128,6 +400,10 @@ export const App = () => {
         );
 
         drawing.loadState(json);
+        // sync the restored history
+        setCanUndo(drawing.history.canUndo());
+        setCanRedo(drawing.history.canRedo());
+        setActiveGroupClosed(drawing.activeCurveGroup?.closed ?? false);
       } catch (e) {
         setMessage(
           'Failed to load saved state; check the console for more info'
@@ -137,6 +413,31 @@ export const App = () => {
     }
   }, []);
 
+  // called by the drawing instance whenever an edit is done, undone or redone
+  const handleDrawingChange = (state) => {
+    setCurveGroupIds(state.curveGroupIds);
+    setActiveGroupId(state.activeGroupId);
+    setActiveGroupClosed(state.activeGroupClosed);
+    setActiveTool(state.activeTool);
+    setCanUndo(state.canUndo);
+    setCanRedo(state.canRedo);
+  };
+
+  // toggle the shortcuts overlay with the ? key
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      // focused controls keep their own keys
+      if (!isEditorTarget(event.target)) return;
+
+      if (event.key === '?') {
+        setShowShortcuts((show) => !show);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown, false);
+    return () => document.removeEventListener('keydown', handleKeyDown, false);
+  }, []);
+
   const handleFileChange = async (event) => {
     try {
       // if there's no file for some reason
@@ -152,6 +453,43 @@ export const App = () => {
     }
   };
 
+  const handleImportSVGChange = (event) => {
+    const file = event.target.files[0];
+    // if there's no file for some reason
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = ({ target: { result } }) => {
+      // sync drawing instance
+      drawing.importSVG(result);
+    };
+    reader.readAsText(file);
+
+    // allow importing the same file again
+    event.target.value = '';
+  };
+
+  const handleImportJSONChange = (event) => {
+    const file = event.target.files[0];
+    // if there's no file for some reason
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = ({ target: { result } }) => {
+      // sync drawing instance
+      drawing.importJSON(result);
+    };
+    reader.readAsText(file);
+
+    // allow importing the same file again
+    event.target.value = '';
+  };
+
+  const handleImportTextClick = () => {
+    // sync drawing instance
+    drawing.importJSON(importText);
+  };
+
   const handleDeleteImageClick = () => {
     fileRef.current.value = '';
     // sync drawing instance
@@ -187,6 +525,7 @@ export const App = () => {
 
     // sync drawing instance
     drawing.setActiveGroupId(id);
+    setActiveGroupClosed(drawing.activeCurveGroup?.closed ?? false);
   };
 
   const handleGroupDeleteClick = (event, id) => {
@@ -207,9 +546,202 @@ export const App = () => {
     drawing.deleteLastPoint();
   };
 
-  const handleSyncLastClick = () => {
+  const handleToggleClosedClick = () => {
     // sync drawing instance
-    drawing.syncLastPoint();
+    drawing.toggleClosed();
+  };
+
+  const handleSelectAllClick = () => {
+    // switch to the select tool
+    handleToolClick(ToolTypes.SELECT_POINTS);
+
+    // sync drawing instance
+    drawing.selectAll();
+  };
+
+  const handleClearSelectionClick = () => {
+    // sync drawing instance
+    drawing.clearSelection();
+  };
+
+  const handleNodeTypeClick = (nodeType) => {
+    // sync drawing instance
+    drawing.setSelectionNodeType(nodeType);
+  };
+
+  const handleSelectAcrossGroupsChange = ({ target: { checked } }) => {
+    setSelectAcrossGroups(checked);
+    // sync drawing instance
+    drawing.setSelectAcrossGroups(checked);
+  };
+
+  const handleUndoClick = () => {
+    // sync drawing instance
+    drawing.undo();
+  };
+
+  const handleRedoClick = () => {
+    // sync drawing instance
+    drawing.redo();
+  };
+
+  const handleZoomInClick = () => {
+    // sync drawing instance
+    drawing.zoomIn();
+  };
+
+  const handleZoomOutClick = () => {
+    // sync drawing instance
+    drawing.zoomOut();
+  };
+
+  const handleFitContentClick = () => {
+    // sync drawing instance
+    drawing.fitViewToContent();
+  };
+
+  const handleFitReferenceClick = () => {
+    // sync drawing instance
+    drawing.fitViewToReference();
+  };
+
+  const handleResetViewClick = () => {
+    // sync drawing instance
+    drawing.resetView();
+  };
+
+  const handleSnappingChange = (key, value) => {
+    setSnapping(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setSnapping(key, value);
+  };
+
+  const handleSVGExportChange = (key, value) => {
+    setSVGExport(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setSVGExport(key, value);
+  };
+
+  const handleGCodeExportChange = (key, value) => {
+    setGCodeExport(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setGCodeExport(key, value);
+  };
+
+  const handleDXFExportChange = (key, value) => {
+    setDXFExport(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setDXFExport(key, value);
+  };
+
+  const handleExportScopeChange = (key, value) => {
+    setExportScope(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setExportScope(key, value);
+  };
+
+  const handleExportGroupCheck = (id, checked) => {
+    handleExportScopeChange(
+      'groupIds',
+      checked
+        ? exportScope.groupIds.concat(id)
+        : exportScope.groupIds.filter((groupId) => groupId !== id)
+    );
+  };
+
+  const handleCoordinateSystemChange = (key, value) => {
+    setCoordinateSystem(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setCoordinateSystem(key, value);
+  };
+
+  const handleQuadraticExportChange = (key, value) => {
+    setQuadraticExport(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setQuadraticExport(key, value);
+  };
+
+  const handlePDFExportChange = (key, value) => {
+    setPDFExport(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setPDFExport(key, value);
+  };
+
+  const handlePDFCenterOriginClick = () => {
+    handlePDFExportChange('originX', String(Number(pdfExport.width) / 2));
+    handlePDFExportChange('originY', String(Number(pdfExport.height) / 2));
+  };
+
+  const handleCodeExportChange = (key, value) => {
+    setCodeExport(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setCodeExport(key, value);
+  };
+
+  const handleLottieExportChange = (key, value) => {
+    setLottieExport(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setLottieExport(key, value);
+  };
+
+  const handleImageExportChange = (key, value) => {
+    setImageExport(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setImageExport(key, value);
+  };
+
+  const handlePolylineExportChange = (key, value) => {
+    setPolylineExport(
+      produce((draft) => {
+        draft[key] = value;
+      })
+    );
+    // sync drawing instance
+    drawing.setPolylineExport(key, value);
   };
 
   const handleFieldChange = (key, { target: { value } }) => {
@@ -280,31 +812,168 @@ export const App = () => {
     setJSONFormat(event.target.value);
   };
 
+  // whether the selected output approximates the curves with quadratics
+  const isQuadraticExport =
+    (exportFormat === ExportFormats.SVG && svgExport.quadratic) ||
+    (exportFormat === ExportFormats.JSON &&
+      jsonFormat === JSONFormats.QUADRATIC);
+
+  const updateQuadraticReport = () => {
+    setQuadraticReport(isQuadraticExport ? drawing.getQuadraticReport() : null);
+  };
+
   const handleCopyClipboardClick = () => {
+    updateQuadraticReport();
     if (exportFormat === ExportFormats.SVG) {
       copy(drawing.getSVGString());
       setMessage('Copied SVG to clipboard');
     } else if (exportFormat === ExportFormats.JSON) {
       copy(drawing.getJSONString(jsonFormat));
       setMessage('Copied JSON to clipboard');
+    } else if (exportFormat === ExportFormats.GCODE) {
+      copy(drawing.getGCodeString());
+      setMessage('Copied G-code to clipboard');
+    } else if (exportFormat === ExportFormats.DXF) {
+      copy(drawing.getDXFString());
+      setMessage('Copied DXF to clipboard');
+    } else if (exportFormat === ExportFormats.CODE) {
+      copy(drawing.getCodeString());
+      setMessage('Copied code to clipboard');
+    } else if (exportFormat === ExportFormats.LOTTIE) {
+      copy(drawing.getLottieString());
+      setMessage('Copied Lottie JSON to clipboard');
+    } else if (exportFormat === ExportFormats.PDF) {
+      setMessage('Cannot copy PDF; Download the file instead.');
+    } else if (exportFormat === ExportFormats.IMAGE) {
+      // the clipboard only takes png images
+      drawing
+        .getImageBlob(ImageTypes.PNG)
+        .then((blob) => {
+          if (!blob) return;
+
+          return navigator.clipboard
+            .write([new ClipboardItem({ [blob.type]: blob })])
+            .then(() => setMessage('Copied PNG to clipboard'));
+        })
+        .catch((e) => {
+          setMessage(
+            'Failed to copy the image; check the console for more info'
+          );
+          console.log(`Failed to copy the image; with error: ${e}`);
+        });
     }
   };
 
-  const handleDownloadClick = () => {
+  // resolves with the file exporting the groups in the selected format, or
+  // null if it couldn't be created
+  const getExportFile = (groups) => {
+    const getTextFile = (text, extension, type = 'text/plain;charset=utf-8') =>
+      Promise.resolve({ blob: new Blob([text], { type }), extension });
+
     if (exportFormat === ExportFormats.SVG) {
-      saveAs(
-        new Blob([drawing.getSVGString()], {
-          type: 'text/plain;charset=utf-8',
-        }),
-        'curve.svg'
-      );
+      return getTextFile(drawing.getSVGString(groups), 'svg');
     } else if (exportFormat === ExportFormats.JSON) {
-      saveAs(
-        new Blob([drawing.getJSONString(jsonFormat)], {
-          type: 'text/plain;charset=utf-8',
-        }),
-        'curve.json'
+      return getTextFile(drawing.getJSONString(jsonFormat, groups), 'json');
+    } else if (exportFormat === ExportFormats.GCODE) {
+      return getTextFile(drawing.getGCodeString(groups), 'gcode');
+    } else if (exportFormat === ExportFormats.DXF) {
+      return getTextFile(drawing.getDXFString(groups), 'dxf');
+    } else if (exportFormat === ExportFormats.CODE) {
+      return getTextFile(
+        drawing.getCodeString(groups),
+        codeExtensions[codeExport.language]
+      );
+    } else if (exportFormat === ExportFormats.LOTTIE) {
+      return getTextFile(drawing.getLottieString(groups), 'lottie.json');
+    } else if (exportFormat === ExportFormats.PDF) {
+      return getTextFile(
+        drawing.getPDFString(groups),
+        'pdf',
+        'application/pdf'
       );
+    } else if (exportFormat === ExportFormats.IMAGE) {
+      return drawing.getImageBlob(undefined, groups).then(
+        (blob) =>
+          blob && {
+            blob,
+            // the browser may not be able to encode webp images
+            extension: blob.type === 'image/webp' ? 'webp' : 'png',
+          }
+      );
+    }
+    return Promise.resolve(null);
+  };
+
+  const handleDownloadClick = () => {
+    const groups = drawing.getExportGroups();
+
+    if (
+      groups.length === 0 &&
+      (exportScope.perGroup || exportScope.mode !== ExportScopes.ALL)
+    ) {
+      setMessage('Cannot export; No curve groups are in the export scope.');
+      return;
+    }
+
+    updateQuadraticReport();
+    if (exportScope.perGroup) {
+      // one file per group, bundled into an archive
+      const fileNames = drawing.getExportFileNames(groups);
+      Promise.all(
+        groups.map((group, i) =>
+          getExportFile([group]).then(
+            (file) =>
+              file && {
+                name: `${fileNames[i]}.${file.extension}`,
+                blob: file.blob,
+              }
+          )
+        )
+      )
+        .then((files) => {
+          // groups without a file are left out of the archive
+          const skipped = groups
+            .filter((_, i) => !files[i])
+            .map(({ id }) => `Group ${curveGroupIds.indexOf(id)}`);
+
+          if (skipped.length === groups.length) {
+            setMessage(
+              'Cannot export; None of the curve groups could be exported.'
+            );
+            return;
+          }
+
+          return createZip(files.filter(Boolean)).then((zip) => {
+            saveAs(zip, 'curves.zip');
+
+            if (skipped.length > 0) {
+              const names = skipped.join(', ');
+              setMessage(
+                `Left ${names} out of the archive; They could not be exported.`
+              );
+            }
+          });
+        })
+        .catch((e) => {
+          setMessage(
+            'Failed to create the archive; check the console for more info'
+          );
+          console.log(`Failed to create the archive; with error: ${e}`);
+        });
+    } else {
+      getExportFile(groups)
+        .then((file) => {
+          if (!file) return;
+
+          saveAs(
+            file.blob,
+            `${drawing.getExportFileName(groups)}.${file.extension}`
+          );
+        })
+        .catch((e) => {
+          setMessage('Failed to export; check the console for more info');
+          console.log(`Failed to export; with error: ${e}`);
+        });
     }
   };
 
@@ -324,6 +993,33 @@ export const App = () => {
   return (
     <div className="flex justify-between overflow-hidden h-full">
       <div className={styles.sidebar}>
+        <div className="mb-8">
+          <div className="text-xl mb-4">History</div>
+          <div className="flex gap-4">
+            <Button
+              fullSized
+              color="dark"
+              size="sm"
+              disabled={!canUndo}
+              onClick={handleUndoClick}
+              title="Undo the last edit (Ctrl+Z)"
+            >
+              <ArrowUturnLeftIcon className="mr-2" width={16} height={16} />
+              Undo
+            </Button>
+            <Button
+              fullSized
+              color="dark"
+              size="sm"
+              disabled={!canRedo}
+              onClick={handleRedoClick}
+              title="Redo the last undone edit (Ctrl+Shift+Z)"
+            >
+              <ArrowUturnRightIcon className="mr-2" width={16} height={16} />
+              Redo
+            </Button>
+          </div>
+        </div>
         <div className="mb-8">
           <div className="text-xl mb-4">Curves</div>
           <div className="border border-gray-700 rounded overflow-y-auto mb-4 text-sm">
@@ -369,10 +1065,14 @@ export const App = () => {
               fullSized
               color="dark"
               size="sm"
-              onClick={handleSyncLastClick}
-              title="Sync the last point's position to the first"
+              onClick={handleToggleClosedClick}
+              title={
+                activeGroupClosed
+                  ? 'Remove the segment joining the last point to the first'
+                  : 'Join the last point back to the first'
+              }
             >
-              Sync Last
+              {activeGroupClosed ? 'Open Path' : 'Close Path'}
             </Button>
             <Button
               fullSized
@@ -384,6 +1084,159 @@ export const App = () => {
               Delete Last
             </Button>
           </div>
+          <div className="flex gap-4 mt-4">
+            <Button
+              fullSized
+              color="dark"
+              size="sm"
+              onClick={handleSelectAllClick}
+              title="Select every point that can be selected"
+            >
+              Select All
+            </Button>
+            <Button
+              fullSized
+              color="dark"
+              size="sm"
+              onClick={handleClearSelectionClick}
+              title="Clear the point selection"
+            >
+              Clear Selection
+            </Button>
+          </div>
+          <div className="mt-4">
+            <Label>Node Type</Label>
+            <div className="flex gap-4">
+              <Button
+                fullSized
+                color="dark"
+                size="sm"
+                onClick={() => handleNodeTypeClick(NodeTypes.CORNER)}
+                title="Let the selected points' control points move independently"
+              >
+                Corner
+              </Button>
+              <Button
+                fullSized
+                color="dark"
+                size="sm"
+                onClick={() => handleNodeTypeClick(NodeTypes.SMOOTH)}
+                title="Keep the selected points' control points collinear"
+              >
+                Smooth
+              </Button>
+              <Button
+                fullSized
+                color="dark"
+                size="sm"
+                onClick={() => handleNodeTypeClick(NodeTypes.SYMMETRIC)}
+                title="Mirror the selected points' control points"
+              >
+                Symmetric
+              </Button>
+            </div>
+          </div>
+          <div className="flex items-center gap-2 mt-4">
+            <Checkbox
+              id="select-across-groups"
+              checked={selectAcrossGroups}
+              onChange={handleSelectAcrossGroupsChange}
+            />
+            <Label htmlFor="select-across-groups">
+              Select points across all groups
+            </Label>
+          </div>
+        </div>
+        <div className="mb-8">
+          <div className="text-xl mb-4">View</div>
+          <div className="flex gap-4 mb-4">
+            <Button
+              fullSized
+              color="dark"
+              size="sm"
+              onClick={handleZoomInClick}
+              title="Zoom in; the mouse wheel zooms around the cursor"
+            >
+              Zoom In
+            </Button>
+            <Button
+              fullSized
+              color="dark"
+              size="sm"
+              onClick={handleZoomOutClick}
+              title="Zoom out; the mouse wheel zooms around the cursor"
+            >
+              Zoom Out
+            </Button>
+            <Button
+              fullSized
+              color="dark"
+              size="sm"
+              onClick={handleResetViewClick}
+              title="Reset the zoom and pan"
+            >
+              Reset
+            </Button>
+          </div>
+          <div className="flex gap-4 mb-2">
+            <Button
+              fullSized
+              color="dark"
+              size="sm"
+              onClick={handleFitContentClick}
+              title="Fit the view to the curves"
+            >
+              Fit Content
+            </Button>
+            <Button
+              fullSized
+              color="dark"
+              size="sm"
+              onClick={handleFitReferenceClick}
+              title="Fit the view to the reference image"
+            >
+              Fit Reference
+            </Button>
+          </div>
+          <div className="text-sm text-gray-400">
+            Hold space or the middle mouse button and drag to pan
+          </div>
+        </div>
+        <div className="mb-8">
+          <div className="text-xl mb-4">Snapping</div>
+          <div className="grid grid-cols-2 gap-2 mb-4">
+            {[
+              ['grid', 'Snap to grid'],
+              ['showGrid', 'Show grid'],
+              ['points', 'Snap to points'],
+              ['origin', 'Snap to origin'],
+              ['reference', 'Snap to reference'],
+              ['angles', 'Shift for 15° angles'],
+            ].map(([key, label]) => (
+              <div key={key} className="flex items-center gap-2">
+                <Checkbox
+                  id={`snapping-${key}`}
+                  checked={snapping[key]}
+                  onChange={({ target: { checked } }) =>
+                    handleSnappingChange(key, checked)
+                  }
+                />
+                <Label htmlFor={`snapping-${key}`}>{label}</Label>
+              </div>
+            ))}
+          </div>
+          <div>
+            <Label>Grid Spacing</Label>
+            <TextInput
+              value={snapping.gridSpacing}
+              onChange={({ target: { value } }) =>
+                handleSnappingChange('gridSpacing', value)
+              }
+              sizing="sm"
+              type="number"
+              min="1"
+            />
+          </div>
         </div>
         <div className="mb-8">
           <div className="text-xl mb-4">Display</div>
@@ -525,6 +1378,46 @@ export const App = () => {
             </Button>
           </div>
         </div>
+        <div className="mb-8">
+          <div className="text-xl mb-4">Import</div>
+          <div className="mb-4">
+            <Label htmlFor="import-svg">SVG</Label>
+            <FileInput
+              id="import-svg"
+              accept=".svg,image/svg+xml"
+              onChange={handleImportSVGChange}
+              helperText="Each path and shape becomes its own curve group"
+            />
+          </div>
+          <div className="mb-4">
+            <Label htmlFor="import-json">JSON</Label>
+            <FileInput
+              id="import-json"
+              accept=".json,application/json"
+              onChange={handleImportJSONChange}
+              helperText="Coordinates or angle-distance pairs, relative to the origin point"
+            />
+          </div>
+          <div className="mb-4">
+            <Label htmlFor="import-text">Pasted JSON</Label>
+            <Textarea
+              id="import-text"
+              value={importText}
+              onChange={(event) => setImportText(event.target.value)}
+              rows={4}
+              placeholder="Paste exported JSON here"
+            />
+          </div>
+          <Button
+            fullSized
+            color="dark"
+            size="sm"
+            onClick={handleImportTextClick}
+            title="Import the pasted JSON"
+          >
+            Import Pasted JSON
+          </Button>
+        </div>
         <div className="mb-8">
           <div className="text-xl mb-4">Export</div>
           <div className="flex flex-col gap-4 mb-4">
@@ -548,7 +1441,496 @@ export const App = () => {
                 />
                 <Label htmlFor="format-json">JSON</Label>
               </div>
+              <div className="flex items-center gap-2">
+                <Radio
+                  id="format-code"
+                  value={ExportFormats.CODE}
+                  checked={exportFormat === ExportFormats.CODE}
+                  onChange={handleExportFormatChange}
+                />
+                <Label htmlFor="format-code">Code</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Radio
+                  id="format-gcode"
+                  value={ExportFormats.GCODE}
+                  checked={exportFormat === ExportFormats.GCODE}
+                  onChange={handleExportFormatChange}
+                />
+                <Label htmlFor="format-gcode">G-code</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Radio
+                  id="format-dxf"
+                  value={ExportFormats.DXF}
+                  checked={exportFormat === ExportFormats.DXF}
+                  onChange={handleExportFormatChange}
+                />
+                <Label htmlFor="format-dxf">DXF</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Radio
+                  id="format-image"
+                  value={ExportFormats.IMAGE}
+                  checked={exportFormat === ExportFormats.IMAGE}
+                  onChange={handleExportFormatChange}
+                />
+                <Label htmlFor="format-image">Image</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Radio
+                  id="format-pdf"
+                  value={ExportFormats.PDF}
+                  checked={exportFormat === ExportFormats.PDF}
+                  onChange={handleExportFormatChange}
+                />
+                <Label htmlFor="format-pdf">PDF</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <Radio
+                  id="format-lottie"
+                  value={ExportFormats.LOTTIE}
+                  checked={exportFormat === ExportFormats.LOTTIE}
+                  onChange={handleExportFormatChange}
+                />
+                <Label htmlFor="format-lottie">Lottie</Label>
+              </div>
             </fieldset>
+            {exportFormat === ExportFormats.CODE && (
+              <div className="flex flex-col gap-2">
+                <div className="text-sm text-gray-400">
+                  Positions are relative to the origin point
+                </div>
+                <fieldset className="flex flex-col">
+                  <legend>Language</legend>
+                  {[
+                    [CodeLanguages.CANVAS, 'Canvas 2D'],
+                    [CodeLanguages.PATH2D, 'Path2D'],
+                    [CodeLanguages.SWIFT_PATH, 'SwiftUI Path'],
+                    [CodeLanguages.UIBEZIERPATH, 'UIBezierPath'],
+                    [CodeLanguages.COMPOSE, 'Jetpack Compose Path'],
+                    [CodeLanguages.VECTOR_DRAWABLE, 'Android VectorDrawable'],
+                  ].map(([language, label]) => (
+                    <div key={language} className="flex items-center gap-2">
+                      <Radio
+                        id={`codelanguage-${language}`}
+                        name="export-code-language"
+                        value={language}
+                        checked={codeExport.language === language}
+                        onChange={() =>
+                          handleCodeExportChange('language', language)
+                        }
+                      />
+                      <Label htmlFor={`codelanguage-${language}`}>
+                        {label}
+                      </Label>
+                    </div>
+                  ))}
+                </fieldset>
+                <div className="flex items-center gap-2">
+                  <Checkbox
+                    id="codeexport-functions"
+                    checked={codeExport.functions}
+                    disabled={
+                      codeExport.language === CodeLanguages.VECTOR_DRAWABLE
+                    }
+                    onChange={({ target: { checked } }) =>
+                      handleCodeExportChange('functions', checked)
+                    }
+                  />
+                  <Label htmlFor="codeexport-functions">
+                    Function per group
+                  </Label>
+                </div>
+              </div>
+            )}
+            {exportFormat === ExportFormats.LOTTIE && (
+              <div className="flex flex-col gap-2">
+                <div className="text-sm text-gray-400">
+                  One shape layer per group, stroked with the main color and
+                  line width
+                </div>
+                <div className="flex gap-4">
+                  <div>
+                    <Label>Duration (s)</Label>
+                    <TextInput
+                      value={lottieExport.duration}
+                      onChange={({ target: { value } }) =>
+                        handleLottieExportChange('duration', value)
+                      }
+                      sizing="sm"
+                      type="number"
+                      min="0"
+                      step="0.5"
+                    />
+                  </div>
+                  <div>
+                    <Label>Frame Rate</Label>
+                    <TextInput
+                      value={lottieExport.frameRate}
+                      onChange={({ target: { value } }) =>
+                        handleLottieExportChange('frameRate', value)
+                      }
+                      sizing="sm"
+                      type="number"
+                      min="1"
+                      step="1"
+                    />
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Checkbox
+                    id="lottieexport-trimPath"
+                    checked={lottieExport.trimPath}
+                    onChange={({ target: { checked } }) =>
+                      handleLottieExportChange('trimPath', checked)
+                    }
+                  />
+                  <Label htmlFor="lottieexport-trimPath">
+                    Draw on with a trim path
+                  </Label>
+                </div>
+              </div>
+            )}
+            {exportFormat === ExportFormats.PDF && (
+              <div className="flex flex-col gap-2">
+                <div className="text-sm text-gray-400">
+                  Sizes and the origin position are in page units, measured from
+                  the top left corner of the page; the curves follow the
+                  coordinate system, converted to page units when it measures
+                  millimeters or inches
+                </div>
+                <fieldset className="flex gap-4">
+                  <legend>Units</legend>
+                  {[
+                    [PageUnits.MILLIMETERS, 'Millimeters'],
+                    [PageUnits.INCHES, 'Inches'],
+                  ].map(([units, label]) => (
+                    <div key={units} className="flex items-center gap-2">
+                      <Radio
+                        id={`pageunits-${units}`}
+                        name="export-page-units"
+                        value={units}
+                        checked={pdfExport.units === units}
+                        onChange={() => handlePDFExportChange('units', units)}
+                      />
+                      <Label htmlFor={`pageunits-${units}`}>{label}</Label>
+                    </div>
+                  ))}
+                </fieldset>
+                {[
+                  [
+                    ['width', 'Page Width'],
+                    ['height', 'Page Height'],
+                  ],
+                  [
+                    ['originX', 'Origin X'],
+                    ['originY', 'Origin Y'],
+                  ],
+                  [['strokeWidth', 'Stroke Width']],
+                ].map((row) => (
+                  <div key={row[0][0]} className="flex gap-4">
+                    {row.map(([key, label]) => (
+                      <div key={key}>
+                        <Label>{label}</Label>
+                        <TextInput
+                          value={pdfExport[key]}
+                          onChange={({ target: { value } }) =>
+                            handlePDFExportChange(key, value)
+                          }
+                          sizing="sm"
+                          type="number"
+                          step="0.1"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                ))}
+                <div>
+                  <Label>Stroke Color</Label>
+                  <TextInput
+                    value={pdfExport.strokeColor}
+                    onChange={({ target: { value } }) =>
+                      handlePDFExportChange('strokeColor', value)
+                    }
+                    placeholder={fields.mainColor}
+                    sizing="sm"
+                  />
+                </div>
+                <Button size="sm" onClick={handlePDFCenterOriginClick}>
+                  Center Origin on Page
+                </Button>
+              </div>
+            )}
+            {exportFormat === ExportFormats.IMAGE && (
+              <div className="flex flex-col gap-2">
+                <div className="text-sm text-gray-400">
+                  Draws the curves with the main color and line width
+                </div>
+                <fieldset className="flex gap-4">
+                  <legend>Type</legend>
+                  {[
+                    [ImageTypes.PNG, 'PNG'],
+                    [ImageTypes.WEBP, 'WebP'],
+                  ].map(([type, label]) => (
+                    <div key={type} className="flex items-center gap-2">
+                      <Radio
+                        id={`imagetype-${type}`}
+                        name="export-image-type"
+                        value={type}
+                        checked={imageExport.type === type}
+                        onChange={() => handleImageExportChange('type', type)}
+                      />
+                      <Label htmlFor={`imagetype-${type}`}>{label}</Label>
+                    </div>
+                  ))}
+                </fieldset>
+                <div className="flex gap-4">
+                  <div>
+                    <Label>Scale</Label>
+                    <TextInput
+                      value={imageExport.scale}
+                      onChange={({ target: { value } }) =>
+                        handleImageExportChange('scale', value)
+                      }
+                      sizing="sm"
+                      type="number"
+                      min="0.1"
+                      step="0.5"
+                    />
+                  </div>
+                  <div>
+                    <Label>Background Color</Label>
+                    <TextInput
+                      value={imageExport.backgroundColor}
+                      onChange={({ target: { value } }) =>
+                        handleImageExportChange('backgroundColor', value)
+                      }
+                      disabled={imageExport.transparent}
+                      sizing="sm"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <Label>Crop Padding</Label>
+                  <TextInput
+                    value={imageExport.padding}
+                    onChange={({ target: { value } }) =>
+                      handleImageExportChange('padding', value)
+                    }
+                    disabled={!imageExport.crop}
+                    sizing="sm"
+                    type="number"
+                    min="0"
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {[
+                    ['transparent', 'Transparent'],
+                    ['crop', 'Crop to curves'],
+                    ['reference', 'Reference image'],
+                  ].map(([key, label]) => (
+                    <div key={key} className="flex items-center gap-2">
+                      <Checkbox
+                        id={`imageexport-${key}`}
+                        checked={imageExport[key]}
+                        onChange={({ target: { checked } }) =>
+                          handleImageExportChange(key, checked)
+                        }
+                      />
+                      <Label htmlFor={`imageexport-${key}`}>{label}</Label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            {exportFormat === ExportFormats.DXF && (
+              <div className="flex flex-col gap-2">
+                <div className="text-sm text-gray-400">
+                  Positions follow the coordinate system, whose units set the
+                  drawing units; each group is on its own layer
+                </div>
+                <div className="flex gap-4">
+                  <fieldset className="flex flex-col">
+                    <legend>Entities</legend>
+                    {[
+                      [DXFEntities.SPLINE, 'Splines'],
+                      [DXFEntities.POLYLINE, 'Polylines'],
+                    ].map(([entities, label]) => (
+                      <div key={entities} className="flex items-center gap-2">
+                        <Radio
+                          id={`dxfentities-${entities}`}
+                          name="export-dxf-entities"
+                          value={entities}
+                          checked={dxfExport.entities === entities}
+                          onChange={() =>
+                            handleDXFExportChange('entities', entities)
+                          }
+                        />
+                        <Label htmlFor={`dxfentities-${entities}`}>
+                          {label}
+                        </Label>
+                      </div>
+                    ))}
+                  </fieldset>
+                </div>
+                <div className="flex gap-4">
+                  <div>
+                    <Label>Tolerance</Label>
+                    <TextInput
+                      value={dxfExport.tolerance}
+                      onChange={({ target: { value } }) =>
+                        handleDXFExportChange('tolerance', value)
+                      }
+                      disabled={dxfExport.entities !== DXFEntities.POLYLINE}
+                      sizing="sm"
+                      type="number"
+                      min="0.001"
+                      step="0.01"
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+            {exportFormat === ExportFormats.GCODE && (
+              <div className="flex flex-col gap-2">
+                <div className="text-sm text-gray-400">
+                  The origin point is machine zero and positions follow the
+                  coordinate system; inches are written as inches and anything
+                  else as millimeters
+                </div>
+                <div className="flex gap-4">
+                  <fieldset className="flex flex-col">
+                    <legend>Curves</legend>
+                    {[
+                      [GCodeCurves.LINES, 'Lines'],
+                      [GCodeCurves.SPLINES, 'G5 splines'],
+                    ].map(([curves, label]) => (
+                      <div key={curves} className="flex items-center gap-2">
+                        <Radio
+                          id={`gcodecurves-${curves}`}
+                          name="export-gcode-curves"
+                          value={curves}
+                          checked={gcodeExport.curves === curves}
+                          onChange={() =>
+                            handleGCodeExportChange('curves', curves)
+                          }
+                        />
+                        <Label htmlFor={`gcodecurves-${curves}`}>{label}</Label>
+                      </div>
+                    ))}
+                  </fieldset>
+                </div>
+                <div className="flex gap-4">
+                  <div>
+                    <Label>Tolerance</Label>
+                    <TextInput
+                      value={gcodeExport.tolerance}
+                      onChange={({ target: { value } }) =>
+                        handleGCodeExportChange('tolerance', value)
+                      }
+                      disabled={gcodeExport.curves !== GCodeCurves.LINES}
+                      sizing="sm"
+                      type="number"
+                      min="0.0001"
+                      step="0.01"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <Label>Feed Rate</Label>
+                  <TextInput
+                    value={gcodeExport.feedRate}
+                    onChange={({ target: { value } }) =>
+                      handleGCodeExportChange('feedRate', value)
+                    }
+                    sizing="sm"
+                    type="number"
+                    min="0"
+                  />
+                </div>
+                <fieldset className="flex flex-col">
+                  <legend>Tool</legend>
+                  {[
+                    [GCodeTools.PEN, 'Pen or laser'],
+                    [GCodeTools.SPINDLE, 'Spindle'],
+                  ].map(([tool, label]) => (
+                    <div key={tool} className="flex items-center gap-2">
+                      <Radio
+                        id={`gcodetool-${tool}`}
+                        name="export-gcode-tool"
+                        value={tool}
+                        checked={gcodeExport.tool === tool}
+                        onChange={() => handleGCodeExportChange('tool', tool)}
+                      />
+                      <Label htmlFor={`gcodetool-${tool}`}>{label}</Label>
+                    </div>
+                  ))}
+                </fieldset>
+                {gcodeExport.tool === GCodeTools.PEN ? (
+                  <div className="flex gap-4">
+                    <div>
+                      <Label>Pen Up</Label>
+                      <TextInput
+                        value={gcodeExport.penUp}
+                        onChange={({ target: { value } }) =>
+                          handleGCodeExportChange('penUp', value)
+                        }
+                        sizing="sm"
+                      />
+                    </div>
+                    <div>
+                      <Label>Pen Down</Label>
+                      <TextInput
+                        value={gcodeExport.penDown}
+                        onChange={({ target: { value } }) =>
+                          handleGCodeExportChange('penDown', value)
+                        }
+                        sizing="sm"
+                      />
+                    </div>
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-2 gap-x-4 gap-y-1">
+                    {[
+                      ['spindleSpeed', 'Spindle Speed'],
+                      ['plungeRate', 'Plunge Rate'],
+                      ['safeZ', 'Safe Z'],
+                      ['cutZ', 'Cut Z'],
+                    ].map(([key, label]) => (
+                      <div key={key}>
+                        <Label>{label}</Label>
+                        <TextInput
+                          value={gcodeExport[key]}
+                          onChange={({ target: { value } }) =>
+                            handleGCodeExportChange(key, value)
+                          }
+                          sizing="sm"
+                          type="number"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="grid grid-cols-2 gap-2">
+                  {[
+                    ['optimizeTravel', 'Optimize travel'],
+                    ['preview', 'Preview toolpath'],
+                  ].map(([key, label]) => (
+                    <div key={key} className="flex items-center gap-2">
+                      <Checkbox
+                        id={`gcodeexport-${key}`}
+                        checked={gcodeExport[key]}
+                        onChange={({ target: { checked } }) =>
+                          handleGCodeExportChange(key, checked)
+                        }
+                      />
+                      <Label htmlFor={`gcodeexport-${key}`}>{label}</Label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
             {exportFormat === ExportFormats.JSON && (
               <fieldset className="flex flex-col">
                 <legend>JSON-Format</legend>
@@ -574,8 +1956,442 @@ export const App = () => {
                     Angle-Distance Pairs
                   </Label>
                 </div>
+                <div className="flex items-center gap-2">
+                  <Radio
+                    id="jsonformat-polyline"
+                    name="export-json-format"
+                    value={JSONFormats.POLYLINE}
+                    checked={jsonFormat === JSONFormats.POLYLINE}
+                    onChange={handleJSONFormatChange}
+                  />
+                  <Label htmlFor="jsonformat-polyline">Flattened Points</Label>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Radio
+                    id="jsonformat-quadratic"
+                    name="export-json-format"
+                    value={JSONFormats.QUADRATIC}
+                    checked={jsonFormat === JSONFormats.QUADRATIC}
+                    onChange={handleJSONFormatChange}
+                  />
+                  <Label htmlFor="jsonformat-quadratic">
+                    Quadratic Segments
+                  </Label>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Radio
+                    id="jsonformat-schema"
+                    name="export-json-format"
+                    value={JSONFormats.SCHEMA}
+                    checked={jsonFormat === JSONFormats.SCHEMA}
+                    onChange={handleJSONFormatChange}
+                  />
+                  <Label htmlFor="jsonformat-schema">Versioned Schema</Label>
+                </div>
               </fieldset>
             )}
+            {exportFormat === ExportFormats.JSON &&
+              jsonFormat === JSONFormats.POLYLINE && (
+                <div className="flex flex-col gap-2">
+                  <fieldset className="flex flex-col">
+                    <legend>Sampling</legend>
+                    {[
+                      [FlattenModes.COUNT, 'Fixed count per segment'],
+                      [FlattenModes.TOLERANCE, 'Flatness tolerance'],
+                      [FlattenModes.ARC_LENGTH, 'Equal spacing'],
+                    ].map(([mode, label]) => (
+                      <div key={mode} className="flex items-center gap-2">
+                        <Radio
+                          id={`flattenmode-${mode}`}
+                          name="export-flatten-mode"
+                          value={mode}
+                          checked={polylineExport.mode === mode}
+                          onChange={() =>
+                            handlePolylineExportChange('mode', mode)
+                          }
+                        />
+                        <Label htmlFor={`flattenmode-${mode}`}>{label}</Label>
+                      </div>
+                    ))}
+                  </fieldset>
+                  {polylineExport.mode === FlattenModes.COUNT && (
+                    <div>
+                      <Label>Samples per Segment</Label>
+                      <TextInput
+                        value={polylineExport.count}
+                        onChange={({ target: { value } }) =>
+                          handlePolylineExportChange('count', value)
+                        }
+                        sizing="sm"
+                        type="number"
+                        min="1"
+                        step="1"
+                      />
+                    </div>
+                  )}
+                  {polylineExport.mode === FlattenModes.TOLERANCE && (
+                    <div>
+                      <Label>Tolerance</Label>
+                      <TextInput
+                        value={polylineExport.tolerance}
+                        onChange={({ target: { value } }) =>
+                          handlePolylineExportChange('tolerance', value)
+                        }
+                        sizing="sm"
+                        type="number"
+                        min="0.001"
+                        step="0.1"
+                      />
+                    </div>
+                  )}
+                  {polylineExport.mode === FlattenModes.ARC_LENGTH && (
+                    <div>
+                      <Label>Spacing</Label>
+                      <TextInput
+                        value={polylineExport.spacing}
+                        onChange={({ target: { value } }) =>
+                          handlePolylineExportChange('spacing', value)
+                        }
+                        sizing="sm"
+                        type="number"
+                        min="0.1"
+                      />
+                    </div>
+                  )}
+                  <div className="grid grid-cols-2 gap-2">
+                    {[
+                      ['tangents', 'Tangent angles'],
+                      ['distances', 'Distances'],
+                    ].map(([key, label]) => (
+                      <div key={key} className="flex items-center gap-2">
+                        <Checkbox
+                          id={`polylineexport-${key}`}
+                          checked={polylineExport[key]}
+                          onChange={({ target: { checked } }) =>
+                            handlePolylineExportChange(key, checked)
+                          }
+                        />
+                        <Label htmlFor={`polylineexport-${key}`}>{label}</Label>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            {exportFormat === ExportFormats.SVG && (
+              <div className="flex flex-col gap-2">
+                <div className="flex gap-4">
+                  <div>
+                    <Label>Stroke Width</Label>
+                    <TextInput
+                      value={svgExport.strokeWidth}
+                      onChange={({ target: { value } }) =>
+                        handleSVGExportChange('strokeWidth', value)
+                      }
+                      sizing="sm"
+                      type="number"
+                      min="0"
+                      step="0.5"
+                    />
+                  </div>
+                  <div>
+                    <Label>Stroke Color</Label>
+                    <TextInput
+                      value={svgExport.strokeColor}
+                      onChange={({ target: { value } }) =>
+                        handleSVGExportChange('strokeColor', value)
+                      }
+                      placeholder={fields.mainColor}
+                      sizing="sm"
+                    />
+                  </div>
+                </div>
+                <div className="flex gap-4">
+                  <div>
+                    <Label>Fill</Label>
+                    <TextInput
+                      value={svgExport.fill}
+                      onChange={({ target: { value } }) =>
+                        handleSVGExportChange('fill', value)
+                      }
+                      placeholder="none"
+                      sizing="sm"
+                    />
+                  </div>
+                  <div>
+                    <Label>View Box Padding</Label>
+                    <TextInput
+                      value={svgExport.padding}
+                      onChange={({ target: { value } }) =>
+                        handleSVGExportChange('padding', value)
+                      }
+                      disabled={!svgExport.fitViewBox}
+                      sizing="sm"
+                      type="number"
+                      min="0"
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {[
+                    ['fitViewBox', 'Fit view box to curves'],
+                    ['originRelative', 'Relative to origin'],
+                    ['ids', 'Group ids'],
+                    ['dataAttributes', 'Data attributes'],
+                    ['relative', 'Relative commands'],
+                    ['minify', 'Minify'],
+                    ['quadratic', 'Quadratic segments'],
+                  ].map(([key, label]) => (
+                    <div key={key} className="flex items-center gap-2">
+                      <Checkbox
+                        id={`svgexport-${key}`}
+                        checked={svgExport[key]}
+                        onChange={({ target: { checked } }) =>
+                          handleSVGExportChange(key, checked)
+                        }
+                      />
+                      <Label htmlFor={`svgexport-${key}`}>{label}</Label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            {isQuadraticExport && (
+              <div className="flex flex-col gap-2 mt-2">
+                <div>
+                  <Label>Quadratic Tolerance</Label>
+                  <TextInput
+                    value={quadraticExport.tolerance}
+                    onChange={({ target: { value } }) =>
+                      handleQuadraticExportChange('tolerance', value)
+                    }
+                    sizing="sm"
+                    type="number"
+                    min="0.001"
+                    step="0.1"
+                  />
+                </div>
+                {quadraticReport !== null && (
+                  <div className="text-sm text-gray-400">
+                    {quadraticReport.length === 0
+                      ? 'No curves were exported'
+                      : quadraticReport.map(({ index, cubic, quadratic }) => (
+                          <div key={index}>
+                            Group {index}: {cubic} cubic to {quadratic}{' '}
+                            quadratic segments
+                          </div>
+                        ))}
+                  </div>
+                )}
+              </div>
+            )}
+            {exportFormat !== ExportFormats.IMAGE && (
+              <div className="flex flex-col gap-2 mt-2">
+                <div className="text-sm text-gray-400">
+                  Coordinate system of the exported positions
+                </div>
+                <div className="flex gap-4">
+                  <fieldset className="flex flex-col">
+                    <legend>Units</legend>
+                    {[
+                      [CoordinateUnits.PIXELS, 'Pixels'],
+                      [CoordinateUnits.MILLIMETERS, 'Millimeters'],
+                      [CoordinateUnits.INCHES, 'Inches'],
+                      [CoordinateUnits.CUSTOM, 'Custom'],
+                    ].map(([units, label]) => (
+                      <div key={units} className="flex items-center gap-2">
+                        <Radio
+                          id={`coordinateunits-${units}`}
+                          name="export-coordinate-units"
+                          value={units}
+                          checked={coordinateSystem.units === units}
+                          disabled={coordinateSystem.normalize}
+                          onChange={() =>
+                            handleCoordinateSystemChange('units', units)
+                          }
+                        />
+                        <Label htmlFor={`coordinateunits-${units}`}>
+                          {label}
+                        </Label>
+                      </div>
+                    ))}
+                  </fieldset>
+                  <div className="flex flex-col gap-2">
+                    <fieldset className="flex flex-col">
+                      <legend>Angles</legend>
+                      {[
+                        [AngleUnits.RADIANS, 'Radians'],
+                        [AngleUnits.DEGREES, 'Degrees'],
+                      ].map(([angleUnits, label]) => (
+                        <div
+                          key={angleUnits}
+                          className="flex items-center gap-2"
+                        >
+                          <Radio
+                            id={`angleunits-${angleUnits}`}
+                            name="export-angle-units"
+                            value={angleUnits}
+                            checked={coordinateSystem.angleUnits === angleUnits}
+                            onChange={() =>
+                              handleCoordinateSystemChange(
+                                'angleUnits',
+                                angleUnits
+                              )
+                            }
+                          />
+                          <Label htmlFor={`angleunits-${angleUnits}`}>
+                            {label}
+                          </Label>
+                        </div>
+                      ))}
+                    </fieldset>
+                    <fieldset className="flex flex-col">
+                      <legend>Direction</legend>
+                      {[
+                        [AngleDirections.CLOCKWISE, 'Clockwise'],
+                        [AngleDirections.COUNTERCLOCKWISE, 'Counterclockwise'],
+                      ].map(([direction, label]) => (
+                        <div
+                          key={direction}
+                          className="flex items-center gap-2"
+                        >
+                          <Radio
+                            id={`angledirection-${direction}`}
+                            name="export-angle-direction"
+                            value={direction}
+                            checked={coordinateSystem.direction === direction}
+                            onChange={() =>
+                              handleCoordinateSystemChange(
+                                'direction',
+                                direction
+                              )
+                            }
+                          />
+                          <Label htmlFor={`angledirection-${direction}`}>
+                            {label}
+                          </Label>
+                        </div>
+                      ))}
+                    </fieldset>
+                  </div>
+                </div>
+                <div className="flex gap-4">
+                  <div>
+                    <Label>Units per Pixel</Label>
+                    <TextInput
+                      value={coordinateSystem.scale}
+                      onChange={({ target: { value } }) =>
+                        handleCoordinateSystemChange('scale', value)
+                      }
+                      disabled={
+                        coordinateSystem.normalize ||
+                        coordinateSystem.units !== CoordinateUnits.CUSTOM
+                      }
+                      sizing="sm"
+                      type="number"
+                      step="0.1"
+                    />
+                  </div>
+                  <div>
+                    <Label>Zero Angle (°)</Label>
+                    <TextInput
+                      value={coordinateSystem.zeroAngle}
+                      onChange={({ target: { value } }) =>
+                        handleCoordinateSystemChange('zeroAngle', value)
+                      }
+                      sizing="sm"
+                      type="number"
+                      step="15"
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {[
+                    ['flipY', 'Y axis points up'],
+                    ['normalize', 'Normalize to 0..1'],
+                  ].map(([key, label]) => (
+                    <div key={key} className="flex items-center gap-2">
+                      <Checkbox
+                        id={`coordinatesystem-${key}`}
+                        checked={coordinateSystem[key]}
+                        onChange={({ target: { checked } }) =>
+                          handleCoordinateSystemChange(key, checked)
+                        }
+                      />
+                      <Label htmlFor={`coordinatesystem-${key}`}>{label}</Label>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+          <div className="flex flex-col gap-2 mb-4">
+            <fieldset className="flex flex-col">
+              <legend>Scope</legend>
+              {[
+                [ExportScopes.ALL, 'All groups'],
+                [ExportScopes.ACTIVE, 'Active group'],
+                [ExportScopes.CHECKED, 'Checked groups'],
+              ].map(([mode, label]) => (
+                <div key={mode} className="flex items-center gap-2">
+                  <Radio
+                    id={`exportscope-${mode}`}
+                    name="export-scope"
+                    value={mode}
+                    checked={exportScope.mode === mode}
+                    onChange={() => handleExportScopeChange('mode', mode)}
+                  />
+                  <Label htmlFor={`exportscope-${mode}`}>{label}</Label>
+                </div>
+              ))}
+            </fieldset>
+            {exportScope.mode === ExportScopes.CHECKED && (
+              <div className="grid grid-cols-2 gap-2">
+                {curveGroupIds.map((id, index) => (
+                  <div key={id} className="flex items-center gap-2">
+                    <Checkbox
+                      id={`exportgroup-${id}`}
+                      checked={exportScope.groupIds.includes(id)}
+                      onChange={({ target: { checked } }) =>
+                        handleExportGroupCheck(id, checked)
+                      }
+                    />
+                    <Label htmlFor={`exportgroup-${id}`}>Group {index}</Label>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id="exportscope-perGroup"
+                checked={exportScope.perGroup}
+                onChange={({ target: { checked } }) =>
+                  handleExportScopeChange('perGroup', checked)
+                }
+              />
+              <Label htmlFor="exportscope-perGroup">
+                Download a file per group as a ZIP
+              </Label>
+            </div>
+            <fieldset className="flex gap-4">
+              <legend>File Names</legend>
+              {[
+                [FileNameSources.NAMES, 'Group names'],
+                [FileNameSources.IDS, 'Group ids'],
+              ].map(([fileNames, label]) => (
+                <div key={fileNames} className="flex items-center gap-2">
+                  <Radio
+                    id={`filenames-${fileNames}`}
+                    name="export-file-names"
+                    value={fileNames}
+                    checked={exportScope.fileNames === fileNames}
+                    onChange={() =>
+                      handleExportScopeChange('fileNames', fileNames)
+                    }
+                  />
+                  <Label htmlFor={`filenames-${fileNames}`}>{label}</Label>
+                </div>
+              ))}
+            </fieldset>
           </div>
           <div className="mb-4">
             <Label>Precision</Label>
@@ -648,6 +2464,14 @@ export const App = () => {
           >
             <ArrowsPointingOutIcon width={20} height={20} />
           </ToolButton>
+          <ToolButton
+            title="Select points; shift-click to add or remove, drag to marquee select"
+            active={activeTool === ToolTypes.SELECT_POINTS}
+            type={ToolTypes.SELECT_POINTS}
+            onClick={handleToolClick}
+          >
+            <CursorArrowRaysIcon width={20} height={20} />
+          </ToolButton>
           <ToolButton
             title="Add points"
             active={activeTool === ToolTypes.ADD_POINTS}
@@ -656,16 +2480,24 @@ export const App = () => {
           >
             <PlusIcon width={20} height={20} />
           </ToolButton>
-          {/* <ToolButton
+          <ToolButton
+            title="Insert points into the curve"
+            active={activeTool === ToolTypes.INSERT_POINTS}
+            type={ToolTypes.INSERT_POINTS}
+            onClick={handleToolClick}
+          >
+            <PlusCircleIcon width={20} height={20} />
+          </ToolButton>
+          <ToolButton
             title="Delete points"
             active={activeTool === ToolTypes.DELETE_POINTS}
             type={ToolTypes.DELETE_POINTS}
             onClick={handleToolClick}
           >
             <ScissorsIcon width={20} height={20} />
-          </ToolButton> */}
+          </ToolButton>
           <ToolButton
-            title="Edit points"
+            title="Edit points; hold Alt to move a point without its control points"
             active={activeTool === ToolTypes.EDIT_POINTS}
             type={ToolTypes.EDIT_POINTS}
             onClick={handleToolClick}
@@ -688,6 +2520,15 @@ export const App = () => {
           >
             <ArrowsPointingInIcon width={20} height={20} />
           </ToolButton>
+          <Button
+            className="mb-2"
+            title="Keyboard shortcuts (?)"
+            color="dark"
+            size="sm"
+            onClick={() => setShowShortcuts(true)}
+          >
+            <QuestionMarkCircleIcon width={20} height={20} />
+          </Button>
         </div>
         <canvas ref={canvasRef} className="border border-gray-700 mb-auto" />
         <div className="absolute bottom-0 w-full bg-neutral-800 p-2 text-gray-400 font-mono text-sm flex gap-4">
@@ -696,6 +2537,10 @@ export const App = () => {
           </span>
           <span>{message ? message : 'None'}</span>
         </div>
+        <ShortcutsOverlay
+          show={showShortcuts}
+          onClose={() => setShowShortcuts(false)}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Modal } from 'flowbite-react';
+
+import { ToolHotkeys, ToolTypes } from '../../classes/DrawingHelper';
+
+const toolNames = {
+  [ToolTypes.TRANSFORM_REFERENCE]: 'Transform reference image',
+  [ToolTypes.SELECT_POINTS]: 'Select points',
+  [ToolTypes.ADD_POINTS]: 'Add points',
+  [ToolTypes.INSERT_POINTS]: 'Insert points',
+  [ToolTypes.DELETE_POINTS]: 'Delete points',
+  [ToolTypes.EDIT_POINTS]: 'Edit points',
+  [ToolTypes.EDIT_CONTROLS]: 'Edit controls',
+  [ToolTypes.EDIT_ORIGIN_POINT]: 'Edit origin point',
+};
+
+const editingShortcuts = [
+  ['Arrow keys', 'Nudge the selected or hovered point by 1px'],
+  ['Shift + Arrow keys', 'Nudge the selected or hovered point by 10px'],
+  ['Delete / Backspace', 'Delete the selected or hovered point'],
+  ['Escape', 'Cancel the current drag or clear the selection'],
+  ['Tab / Shift + Tab', 'Make the next or previous group active'],
+  ['Ctrl + Z', 'Undo'],
+  ['Ctrl + Shift + Z / Ctrl + Y', 'Redo'],
+  ['Alt + Drag', 'Move a point without its control points'],
+  ['Shift + Drag', 'Constrain to 15° angles'],
+  ['Space + Drag / Middle Drag', 'Pan the view'],
+  ['Mouse Wheel', 'Zoom around the cursor'],
+  ['Two Finger Drag / Pinch', 'Pan and zoom the view on touchscreens'],
+  ['?', 'Show or hide this list'],
+];
+
+const ShortcutRow = ({ keys, description }) => (
+  <div className="flex justify-between gap-4 py-1 text-sm">
+    <span className="font-mono text-gray-200">{keys}</span>
+    <span className="text-gray-400 text-right">{description}</span>
+  </div>
+);
+
+export const ShortcutsOverlay = ({ show, onClose }) => (
+  <Modal show={show} onClose={onClose}>
+    <Modal.Header>Keyboard Shortcuts</Modal.Header>
+    <Modal.Body>
+      <div className="mb-4">
+        <div className="text-lg mb-2 text-gray-200">Tools</div>
+        {Object.entries(ToolHotkeys).map(([key, tool]) => (
+          <ShortcutRow
+            key={key}
+            keys={key.toUpperCase()}
+            description={toolNames[tool]}
+          />
+        ))}
+      </div>
+      <div>
+        <div className="text-lg mb-2 text-gray-200">Editing</div>
+        {editingShortcuts.map(([keys, description]) => (
+          <ShortcutRow key={keys} keys={keys} description={description} />
+        ))}
+      </div>
+    </Modal.Body>
+  </Modal>
+);
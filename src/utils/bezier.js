@@ -0,0 +1,428 @@
+'use strict';
+
+// number of samples taken from each segment when fitting
+const fitSamples = 16;
+// iterations used when searching for where the merged segments meet
+const splitIterations = 32;
+// number of samples used for the coarse nearest point search
+const nearestSamples = 32;
+// gauss-legendre abscissae and weights used to integrate arc lengths
+const legendreNodes = [
+  [0, 0.5688888888888889],
+  [-0.5384693101056831, 0.4786286704993665],
+  [0.5384693101056831, 0.4786286704993665],
+  [-0.906179845938664, 0.2369268850561891],
+  [0.906179845938664, 0.2369268850561891],
+];
+// number of pieces each arc length integral is split into
+const lengthPieces = 8;
+// iterations used when searching for the parameter at an arc length
+const lengthIterations = 40;
+// deepest subdivision used when flattening a segment
+const maxFlattenDepth = 16;
+// most quadratic segments used to approximate a cubic segment
+const maxQuadratics = 64;
+
+// returns the point at t on the cubic segment p0, p1, p2, p3
+export function getCubicPoint(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  const a = mt * mt * mt;
+  const b = 3 * mt * mt * t;
+  const c = 3 * mt * t * t;
+  const d = t * t * t;
+
+  return {
+    x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+    y: a * p0.y + b * p1.y + c * p2.y + d * p3.y,
+  };
+}
+
+// fits one cubic segment through the start and end points that is as close as
+// possible to the given samples, in the least squares sense; each sample needs
+// a parameter t along the fitted segment; returns the two control points
+export function fitCubic(start, end, samples, params) {
+  let c11 = 0;
+  let c12 = 0;
+  let c22 = 0;
+  let x1 = 0;
+  let y1 = 0;
+  let x2 = 0;
+  let y2 = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const t = params[i];
+    const mt = 1 - t;
+    const b0 = mt * mt * mt;
+    const b1 = 3 * mt * mt * t;
+    const b2 = 3 * mt * t * t;
+    const b3 = t * t * t;
+
+    // the remainder once the fixed end points are accounted for
+    const rx = samples[i].x - b0 * start.x - b3 * end.x;
+    const ry = samples[i].y - b0 * start.y - b3 * end.y;
+
+    c11 += b1 * b1;
+    c12 += b1 * b2;
+    c22 += b2 * b2;
+    x1 += b1 * rx;
+    y1 += b1 * ry;
+    x2 += b2 * rx;
+    y2 += b2 * ry;
+  }
+
+  const determinant = c11 * c22 - c12 * c12;
+
+  // degenerate input; fall back to a straight segment
+  if (Math.abs(determinant) < 1e-12) {
+    return [lerpPoint(start, end, 1 / 3), lerpPoint(start, end, 2 / 3)];
+  }
+
+  return [
+    {
+      x: (c22 * x1 - c12 * x2) / determinant,
+      y: (c22 * y1 - c12 * y2) / determinant,
+    },
+    {
+      x: (c11 * x2 - c12 * x1) / determinant,
+      y: (c11 * y2 - c12 * y1) / determinant,
+    },
+  ];
+}
+
+// merges two consecutive cubic segments into one;
+// each segment is given as [start, control1, control2, end]
+export function mergeCubics(segment1, segment2) {
+  const samples = [];
+
+  for (let i = 0; i <= fitSamples; i++) {
+    samples.push(getCubicPoint(...segment1, i / fitSamples));
+  }
+  // the first sample of the second segment is the shared point
+  for (let i = 1; i <= fitSamples; i++) {
+    samples.push(getCubicPoint(...segment2, i / fitSamples));
+  }
+
+  const start = segment1[0];
+  const end = segment2[3];
+
+  // fits the samples assuming the shared point lies at split on the merged segment
+  const fit = (split) => {
+    const params = samples.map((_, i) =>
+      i <= fitSamples
+        ? (i / fitSamples) * split
+        : split + ((i - fitSamples) / fitSamples) * (1 - split)
+    );
+    const controls = fitCubic(start, end, samples, params);
+    const error = samples.reduce((sum, sample, i) => {
+      const distance = getDistance(
+        sample,
+        getCubicPoint(start, ...controls, end, params[i])
+      );
+      return sum + distance * distance;
+    }, 0);
+
+    return { controls, error };
+  };
+
+  // golden section search for the split with the least error; when the two
+  // segments came from splitting one, this recovers it exactly
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let low = 0.01;
+  let high = 0.99;
+  let split1 = high - (high - low) * ratio;
+  let split2 = low + (high - low) * ratio;
+  let fit1 = fit(split1);
+  let fit2 = fit(split2);
+
+  for (let i = 0; i < splitIterations; i++) {
+    if (fit1.error < fit2.error) {
+      high = split2;
+      split2 = split1;
+      fit2 = fit1;
+      split1 = high - (high - low) * ratio;
+      fit1 = fit(split1);
+    } else {
+      low = split1;
+      split1 = split2;
+      fit1 = fit2;
+      split2 = low + (high - low) * ratio;
+      fit2 = fit(split2);
+    }
+  }
+
+  return (fit1.error < fit2.error ? fit1 : fit2).controls;
+}
+
+export function lerpPoint(point1, point2, t) {
+  return {
+    x: point1.x + (point2.x - point1.x) * t,
+    y: point1.y + (point2.y - point1.y) * t,
+  };
+}
+
+export function getDistance(point1, point2) {
+  const a = point1.x - point2.x;
+  const b = point1.y - point2.y;
+
+  return Math.sqrt(a * a + b * b);
+}
+
+// splits the cubic segment at t using de Casteljau subdivision;
+// returns the two halves, each as [start, control1, control2, end]
+export function splitCubic(p0, p1, p2, p3, t) {
+  const p01 = lerpPoint(p0, p1, t);
+  const p12 = lerpPoint(p1, p2, t);
+  const p23 = lerpPoint(p2, p3, t);
+  const p012 = lerpPoint(p01, p12, t);
+  const p123 = lerpPoint(p12, p23, t);
+  const p0123 = lerpPoint(p012, p123, t);
+
+  return [
+    [p0, p01, p012, p0123],
+    [p0123, p123, p23, p3],
+  ];
+}
+
+// finds the parameter t of the point on the cubic segment nearest to the
+// given point; returns the parameter, the point on the curve and its distance
+export function getNearestCubicT(p0, p1, p2, p3, point) {
+  // coarse pass over evenly spaced parameters
+  let bestT = 0;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i <= nearestSamples; i++) {
+    const t = i / nearestSamples;
+    const distance = getDistance(getCubicPoint(p0, p1, p2, p3, t), point);
+
+    if (distance < bestDistance) {
+      bestT = t;
+      bestDistance = distance;
+    }
+  }
+
+  // refine around the best sample by repeatedly halving the step
+  let step = 1 / nearestSamples;
+  while (step > 1e-6) {
+    step *= 0.5;
+
+    for (const t of [bestT - step, bestT + step]) {
+      if (t < 0 || t > 1) continue;
+
+      const distance = getDistance(getCubicPoint(p0, p1, p2, p3, t), point);
+      if (distance < bestDistance) {
+        bestT = t;
+        bestDistance = distance;
+      }
+    }
+  }
+
+  return {
+    t: bestT,
+    point: getCubicPoint(p0, p1, p2, p3, bestT),
+    distance: bestDistance,
+  };
+}
+
+// returns the bounds of the cubic segment, including where it bulges past its
+// end points
+export function getCubicBounds(p0, p1, p2, p3) {
+  const params = [0, 1];
+
+  ['x', 'y'].forEach((axis) => {
+    // the extremes are at the roots of the derivative, a quadratic in t
+    const a = 3 * (-p0[axis] + 3 * p1[axis] - 3 * p2[axis] + p3[axis]);
+    const b = 6 * (p0[axis] - 2 * p1[axis] + p2[axis]);
+    const c = 3 * (p1[axis] - p0[axis]);
+
+    if (Math.abs(a) < 1e-12) {
+      if (Math.abs(b) > 1e-12) {
+        params.push(-c / b);
+      }
+      return;
+    }
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return;
+
+    const root = Math.sqrt(discriminant);
+    params.push((-b + root) / (2 * a), (-b - root) / (2 * a));
+  });
+
+  const points = params
+    .filter((t) => t >= 0 && t <= 1)
+    .map((t) => getCubicPoint(p0, p1, p2, p3, t));
+
+  return {
+    minX: Math.min(...points.map(({ x }) => x)),
+    minY: Math.min(...points.map(({ y }) => y)),
+    maxX: Math.max(...points.map(({ x }) => x)),
+    maxY: Math.max(...points.map(({ y }) => y)),
+  };
+}
+
+// returns the derivative of the cubic segment at t
+export function getCubicDerivative(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  const a = 3 * mt * mt;
+  const b = 6 * mt * t;
+  const c = 3 * t * t;
+
+  return {
+    x: a * (p1.x - p0.x) + b * (p2.x - p1.x) + c * (p3.x - p2.x),
+    y: a * (p1.y - p0.y) + b * (p2.y - p1.y) + c * (p3.y - p2.y),
+  };
+}
+
+// returns the direction of the cubic segment at t; where a control point sits
+// on its end point the derivative vanishes, so the direction is taken from
+// just inside the segment instead
+export function getCubicTangentAngle(p0, p1, p2, p3, t) {
+  let derivative = getCubicDerivative(p0, p1, p2, p3, t);
+
+  if (Math.hypot(derivative.x, derivative.y) < 1e-9) {
+    derivative = getCubicDerivative(
+      p0,
+      p1,
+      p2,
+      p3,
+      t < 0.5 ? t + 1e-4 : t - 1e-4
+    );
+  }
+
+  return Math.atan2(derivative.y, derivative.x);
+}
+
+// returns the arc length of the cubic segment from its start up to t
+export function getCubicLength(p0, p1, p2, p3, t = 1) {
+  let length = 0;
+  const pieceSize = t / lengthPieces;
+
+  for (let i = 0; i < lengthPieces; i++) {
+    const center = pieceSize * (i + 0.5);
+
+    legendreNodes.forEach(([node, weight]) => {
+      const { x, y } = getCubicDerivative(
+        p0,
+        p1,
+        p2,
+        p3,
+        center + (node * pieceSize) / 2
+      );
+      length += ((weight * pieceSize) / 2) * Math.hypot(x, y);
+    });
+  }
+
+  return length;
+}
+
+// returns the parameter at which the arc length from the start of the cubic
+// segment reaches the given length
+export function getCubicParamAtLength(p0, p1, p2, p3, length) {
+  let low = 0;
+  let high = 1;
+
+  for (let i = 0; i < lengthIterations; i++) {
+    const t = (low + high) / 2;
+
+    if (getCubicLength(p0, p1, p2, p3, t) < length) {
+      low = t;
+    } else {
+      high = t;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+// subdivides the cubic segment until each piece is within tolerance of a
+// straight line; returns the parameter where each piece starts
+export function getFlatCubicParams(p0, p1, p2, p3, tolerance) {
+  const params = [];
+
+  const subdivide = (segment, t0, t1, depth) => {
+    if (depth >= maxFlattenDepth || isCubicFlat(segment, tolerance)) {
+      params.push(t0);
+      return;
+    }
+
+    const [first, second] = splitCubic(...segment, 0.5);
+    const middle = (t0 + t1) / 2;
+    subdivide(first, t0, middle, depth + 1);
+    subdivide(second, middle, t1, depth + 1);
+  };
+  subdivide([p0, p1, p2, p3], 0, 1, 0);
+
+  return params;
+}
+
+// approximates the cubic segment with quadratic segments that stay within
+// tolerance of it; returns each piece as [start, control, end]
+export function getCubicQuadratics(p0, p1, p2, p3, tolerance) {
+  // the distance between a cubic and the quadratic through the midpoint of its
+  // control points is at most sqrt(3) / 36 of the cubic's third difference,
+  // which shrinks with the cube of the number of equal pieces
+  const difference = getDistance(
+    {
+      x: p3.x - 3 * p2.x + 3 * p1.x - p0.x,
+      y: p3.y - 3 * p2.y + 3 * p1.y - p0.y,
+    },
+    { x: 0, y: 0 }
+  );
+  const count = Math.min(
+    Math.max(
+      Math.ceil(Math.cbrt((difference * Math.sqrt(3)) / 36 / tolerance)),
+      1
+    ),
+    maxQuadratics
+  );
+
+  const quadratics = [];
+  let remaining = [p0, p1, p2, p3];
+
+  for (let i = count; i > 0; i--) {
+    // split off one of the equal pieces that remain
+    const [piece, rest] =
+      i > 1 ? splitCubic(...remaining, 1 / i) : [remaining, null];
+    const [start, control1, control2, end] = piece;
+
+    quadratics.push([
+      start,
+      {
+        x: (3 * (control1.x + control2.x) - start.x - end.x) / 4,
+        y: (3 * (control1.y + control2.y) - start.y - end.y) / 4,
+      },
+      end,
+    ]);
+    remaining = rest;
+  }
+
+  return quadratics;
+}
+
+// the curve stays within its control points, so it's flat enough when both
+// control points are close to the line between the end points
+function isCubicFlat([p0, p1, p2, p3], tolerance) {
+  return (
+    getLineDistance(p1, p0, p3) <= tolerance &&
+    getLineDistance(p2, p0, p3) <= tolerance
+  );
+}
+
+// returns the distance from the point to the line segment between start and end
+function getLineDistance(point, start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  if (lengthSquared === 0) return getDistance(point, start);
+
+  const t = Math.min(
+    Math.max(
+      ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared,
+      0
+    ),
+    1
+  );
+
+  return getDistance(point, { x: start.x + dx * t, y: start.y + dy * t });
+}
@@ -0,0 +1,257 @@
+'use strict';
+
+import { getRGBColor } from './color';
+
+// using string values to make these compatible with input value properties
+export const CodeLanguages = {
+  CANVAS: 'canvas',
+  PATH2D: 'path2d',
+  SWIFT_PATH: 'swiftPath',
+  UIBEZIERPATH: 'uiBezierPath',
+  COMPOSE: 'compose',
+  VECTOR_DRAWABLE: 'vectorDrawable',
+};
+
+const indent = '  ';
+
+// each writer lists the statements that build a path in the variable, and
+// wraps them in a function named after the path
+const writers = {
+  [CodeLanguages.CANVAS]: {
+    local: 'ctx',
+    // draws to the context rather than building a path of its own
+    usesContext: true,
+    getBody: (ctx, segments, closed, format) => [
+      `${ctx}.beginPath();`,
+      ...getCalls(segments, closed, {
+        move: ({ x, y }) => `${ctx}.moveTo(${format(x)}, ${format(y)});`,
+        curve: (control1, control2, end) =>
+          `${ctx}.bezierCurveTo(${[control1, control2, end]
+            .flatMap(({ x, y }) => [format(x), format(y)])
+            .join(', ')});`,
+        close: () => `${ctx}.closePath();`,
+      }),
+      `${ctx}.stroke();`,
+    ],
+    wrap: (identifier, body) =>
+      [`function draw${capitalize(identifier)}(ctx) {`, ...body, '}'].join(
+        '\n'
+      ),
+  },
+  [CodeLanguages.PATH2D]: {
+    local: 'path',
+    getBody: (path, segments, closed, format) => [
+      `const ${path} = new Path2D();`,
+      ...getCalls(segments, closed, {
+        move: ({ x, y }) => `${path}.moveTo(${format(x)}, ${format(y)});`,
+        curve: (control1, control2, end) =>
+          `${path}.bezierCurveTo(${[control1, control2, end]
+            .flatMap(({ x, y }) => [format(x), format(y)])
+            .join(', ')});`,
+        close: () => `${path}.closePath();`,
+      }),
+    ],
+    wrap: (identifier, body) =>
+      [
+        `function create${capitalize(identifier)}() {`,
+        ...body,
+        `${indent}return path;`,
+        '}',
+      ].join('\n'),
+  },
+  [CodeLanguages.SWIFT_PATH]: {
+    local: 'path',
+    getBody: (path, segments, closed, format) => {
+      const point = ({ x, y }) => `CGPoint(x: ${format(x)}, y: ${format(y)})`;
+
+      return [
+        `var ${path} = Path()`,
+        ...getCalls(segments, closed, {
+          move: (start) => `${path}.move(to: ${point(start)})`,
+          curve: (control1, control2, end) =>
+            `${path}.addCurve(to: ${point(end)}, control1: ${point(
+              control1
+            )}, control2: ${point(control2)})`,
+          close: () => `${path}.closeSubpath()`,
+        }),
+      ];
+    },
+    wrap: (identifier, body) =>
+      [
+        `func make${capitalize(identifier)}() -> Path {`,
+        ...body,
+        `${indent}return path`,
+        '}',
+      ].join('\n'),
+  },
+  [CodeLanguages.UIBEZIERPATH]: {
+    local: 'path',
+    getBody: (path, segments, closed, format) => {
+      const point = ({ x, y }) => `CGPoint(x: ${format(x)}, y: ${format(y)})`;
+
+      return [
+        `let ${path} = UIBezierPath()`,
+        ...getCalls(segments, closed, {
+          move: (start) => `${path}.move(to: ${point(start)})`,
+          curve: (control1, control2, end) =>
+            `${path}.addCurve(to: ${point(end)}, controlPoint1: ${point(
+              control1
+            )}, controlPoint2: ${point(control2)})`,
+          close: () => `${path}.close()`,
+        }),
+      ];
+    },
+    wrap: (identifier, body) =>
+      [
+        `func make${capitalize(identifier)}() -> UIBezierPath {`,
+        ...body,
+        `${indent}return path`,
+        '}',
+      ].join('\n'),
+  },
+  [CodeLanguages.COMPOSE]: {
+    local: 'path',
+    getBody: (path, segments, closed, format) => {
+      // kotlin needs float literals
+      const float = (value) => `${format(value)}f`;
+
+      return [
+        `val ${path} = Path().apply {`,
+        ...getCalls(segments, closed, {
+          move: ({ x, y }) => `${indent}moveTo(${float(x)}, ${float(y)})`,
+          curve: (control1, control2, end) =>
+            `${indent}cubicTo(${[control1, control2, end]
+              .flatMap(({ x, y }) => [float(x), float(y)])
+              .join(', ')})`,
+          close: () => `${indent}close()`,
+        }),
+        '}',
+      ];
+    },
+    wrap: (identifier, body) =>
+      [
+        `fun make${capitalize(identifier)}(): Path {`,
+        ...body,
+        `${indent}return path`,
+        '}',
+      ].join('\n'),
+  },
+};
+
+// writes code that builds each path; each path has a name to derive variable
+// and function names from, and its cubic segments as
+// [start, control1, control2, end]; vector drawables describe all the paths
+// in one document instead
+export function getCode(paths, language, settings) {
+  const { functions, precision } = settings;
+  const format = (value) => {
+    const fixed = value.toFixed(precision);
+    // avoid writing negative zero
+    return Number(fixed) === 0 ? (0).toFixed(precision) : fixed;
+  };
+
+  if (language === CodeLanguages.VECTOR_DRAWABLE) {
+    return getVectorDrawable(paths, settings, format);
+  }
+
+  const writer = writers[language] ?? writers[CodeLanguages.CANVAS];
+
+  return paths
+    .map(({ name, segments, closed }) => {
+      const identifier = getIdentifier(name);
+      const body = writer.getBody(
+        functions || writer.usesContext ? writer.local : identifier,
+        segments,
+        closed,
+        format
+      );
+
+      return functions
+        ? writer.wrap(
+            identifier,
+            body.map((line) => indent + line)
+          )
+        : [`// ${name}`, ...body].join('\n');
+    })
+    .join('\n\n');
+}
+
+// returns the statements that move to the start and add each segment
+function getCalls(segments, closed, { move, curve, close }) {
+  const calls = [
+    move(segments[0][0]),
+    ...segments.map(([, control1, control2, end]) =>
+      curve(control1, control2, end)
+    ),
+  ];
+
+  if (closed) {
+    calls.push(close());
+  }
+  return calls;
+}
+
+// the viewport is the area of the canvas in the coordinate system of the
+// positions, so the paths are moved by its corner to fit within it
+function getVectorDrawable(paths, settings, format) {
+  const { width, height, viewport, strokeColor, strokeWidth } = settings;
+  const [red, green, blue] = getRGBColor(strokeColor) ?? [0, 0, 0];
+  const color = [red, green, blue]
+    .map((component) =>
+      Math.round(component * 255)
+        .toString(16)
+        .padStart(2, '0')
+    )
+    .join('')
+    .toUpperCase();
+
+  const lines = [
+    '<vector xmlns:android="http://schemas.android.com/apk/res/android"',
+    `${indent}android:width="${width}dp"`,
+    `${indent}android:height="${height}dp"`,
+    `${indent}android:viewportWidth="${Number(format(viewport.width))}"`,
+    `${indent}android:viewportHeight="${Number(format(viewport.height))}">`,
+    `${indent}<group`,
+    `${indent.repeat(2)}android:translateX="${format(-viewport.x)}"`,
+    `${indent.repeat(2)}android:translateY="${format(-viewport.y)}">`,
+  ];
+
+  paths.forEach(({ name, segments, closed }) => {
+    const pathData = getCalls(segments, closed, {
+      move: ({ x, y }) => `M${format(x)},${format(y)}`,
+      curve: (control1, control2, end) =>
+        `C${[control1, control2, end]
+          .map(({ x, y }) => `${format(x)},${format(y)}`)
+          .join(' ')}`,
+      close: () => 'Z',
+    }).join(' ');
+
+    lines.push(
+      `${indent.repeat(2)}<path`,
+      `${indent.repeat(3)}android:name="${getIdentifier(name)}"`,
+      `${indent.repeat(3)}android:pathData="${pathData}"`,
+      `${indent.repeat(3)}android:strokeColor="#${color}"`,
+      `${indent.repeat(3)}android:strokeWidth="${Number(
+        format(strokeWidth)
+      )}" />`
+    );
+  });
+
+  lines.push(`${indent}</group>`, '</vector>');
+  return lines.join('\n');
+}
+
+// converts a name like "Group 1" to a camel case identifier like "group1"
+function getIdentifier(name) {
+  const words = String(name).match(/[a-z0-9]+/gi) ?? ['path'];
+  const identifier = words
+    .map((word, i) => (i === 0 ? word.toLowerCase() : capitalize(word)))
+    .join('');
+
+  // identifiers can't start with a digit
+  return /^\d/.test(identifier) ? `path${identifier}` : identifier;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
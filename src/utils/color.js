@@ -0,0 +1,16 @@
+'use strict';
+
+// converts a #rgb or #rrggbb color to red, green and blue components between
+// 0 and 1; returns null for any other color
+export function getRGBColor(color) {
+  let hex = String(color).trim().replace(/^#/, '');
+
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    hex = hex.replace(/./g, '$&$&');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    return null;
+  }
+
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
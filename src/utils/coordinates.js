@@ -0,0 +1,114 @@
+'use strict';
+
+// using string values to make these compatible with input value properties
+export const CoordinateUnits = {
+  PIXELS: 'px',
+  MILLIMETERS: 'mm',
+  INCHES: 'in',
+  // uses the scale setting as units per pixel
+  CUSTOM: 'custom',
+};
+
+export const AngleUnits = {
+  RADIANS: 'rad',
+  DEGREES: 'deg',
+};
+
+// the direction angles increase in, as seen on the canvas
+export const AngleDirections = {
+  CLOCKWISE: 'cw',
+  COUNTERCLOCKWISE: 'ccw',
+};
+
+// css pixels per inch
+const pixelsPerInch = 96;
+
+const unitScales = {
+  [CoordinateUnits.PIXELS]: 1,
+  [CoordinateUnits.MILLIMETERS]: 25.4 / pixelsPerInch,
+  [CoordinateUnits.INCHES]: 1 / pixelsPerInch,
+};
+
+// returns the number of units per pixel; custom units use the given scale
+export function getUnitScale(units, scale) {
+  return units === CoordinateUnits.CUSTOM
+    ? Number(scale)
+    : unitScales[units] ?? 1;
+}
+
+// returns functions that map document positions, lengths and angles to the
+// export coordinate system; positions are relative to the origin, or span 0..1
+// across the bounds when normalized, in which case lengths are relative to the
+// larger side of the bounds
+export function getExportTransform(settings, origin, bounds) {
+  const { flipY, units, scale, zeroAngle, angleUnits, direction, normalize } =
+    settings;
+  let toPosition;
+  let toLength;
+
+  if (normalize && bounds) {
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    const size = Math.max(width, height);
+
+    toPosition = ({ x, y }) => ({
+      x: width > 0 ? (x - bounds.minX) / width : 0,
+      y: height > 0 ? (flipY ? bounds.maxY - y : y - bounds.minY) / height : 0,
+    });
+    toLength = (length) => (size > 0 ? length / size : 0);
+  } else {
+    const factor = getUnitScale(units, scale);
+
+    toPosition = ({ x, y }) => ({
+      x: (x - origin.x) * factor,
+      y: (flipY ? origin.y - y : y - origin.y) * factor,
+    });
+    toLength = (length) => length * factor;
+  }
+
+  // document angles increase clockwise since the y axis points down; the
+  // result is kept within a half turn of the zero angle
+  const toAngle = (angle) => {
+    const directed =
+      direction === AngleDirections.COUNTERCLOCKWISE ? -angle : angle;
+    const rotated = directed - (Number(zeroAngle) * Math.PI) / 180;
+    const wrapped = Math.atan2(Math.sin(rotated), Math.cos(rotated));
+
+    return angleUnits === AngleUnits.DEGREES
+      ? (wrapped * 180) / Math.PI
+      : wrapped;
+  };
+
+  return { toPosition, toLength, toAngle };
+}
+
+// returns functions that map positions, lengths and angles of the export
+// coordinate system back to document space, with positions relative to the
+// origin; normalized positions have lost their scale and can't be mapped back
+export function getImportTransform(settings) {
+  const { flipY, units, scale, zeroAngle, angleUnits, direction, normalize } =
+    settings;
+
+  if (normalize) {
+    throw new Error('Normalized positions cannot be placed on the canvas.');
+  }
+  const factor = getUnitScale(units, scale);
+  if (!(factor > 0)) {
+    throw new Error('Expected a positive coordinate system scale.');
+  }
+
+  const fromPosition = ({ x, y }) => ({
+    x: x / factor,
+    y: (flipY ? -y : y) / factor,
+  });
+  const fromLength = (length) => length / factor;
+  const fromAngle = (angle) => {
+    const radians =
+      angleUnits === AngleUnits.DEGREES ? (angle * Math.PI) / 180 : angle;
+    const rotated = radians + (Number(zeroAngle) * Math.PI) / 180;
+
+    return direction === AngleDirections.COUNTERCLOCKWISE ? -rotated : rotated;
+  };
+
+  return { fromPosition, fromLength, fromAngle };
+}
@@ -0,0 +1,203 @@
+'use strict';
+
+// using string values to make these compatible with input value properties
+export const DXFUnits = {
+  UNITLESS: 'unitless',
+  MILLIMETERS: 'mm',
+  INCHES: 'in',
+};
+
+export const DXFEntities = {
+  SPLINE: 'spline',
+  POLYLINE: 'polyline',
+};
+
+// values of the $INSUNITS header variable
+const unitCodes = {
+  [DXFUnits.UNITLESS]: 0,
+  [DXFUnits.INCHES]: 1,
+  [DXFUnits.MILLIMETERS]: 4,
+};
+
+// writes an ascii r2000 (AC1015) dxf with a layer for each path; paths are
+// given in drawing units with the y axis pointing up, either as cubic segments
+// written as splines or as points written as polylines; every table entry,
+// block and entity has a handle and refers to its owner by handle, as the
+// version requires
+export function getDXF(paths, units, precision) {
+  const format = (value) => {
+    const fixed = value.toFixed(precision);
+    // avoid writing negative zero
+    return Number(fixed) === 0 ? (0).toFixed(precision) : fixed;
+  };
+  const groupCodes = [];
+  const add = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) {
+      groupCodes.push(String(pairs[i]), String(pairs[i + 1]));
+    }
+  };
+  const addPoint = ({ x, y }) =>
+    add(10, format(x), 20, format(y), 30, format(0));
+
+  // handles are hexadecimal and unique within the file; zero means no owner
+  let lastHandle = 0;
+  const createHandle = () => (++lastHandle).toString(16).toUpperCase();
+
+  // adds a symbol table; each entry is written by a function that is given
+  // the entry's handle and the table's handle
+  const addTable = (name, entries, subclass) => {
+    const tableHandle = createHandle();
+    add(0, 'TABLE', 2, name, 5, tableHandle, 330, 0);
+    add(100, 'AcDbSymbolTable', 70, entries.length);
+    if (subclass) {
+      add(100, subclass);
+    }
+    entries.forEach((addEntry) => addEntry(createHandle(), tableHandle));
+    add(0, 'ENDTAB');
+  };
+  const addRecord = (type, subclass, handle, owner, name) => {
+    // dimension styles keep their handle in a code of their own
+    add(0, type, type === 'DIMSTYLE' ? 105 : 5, handle, 330, owner);
+    add(100, 'AcDbSymbolTableRecord', 100, subclass, 2, name, 70, 0);
+  };
+  const addLineType = (name, description) => (handle, owner) => {
+    addRecord('LTYPE', 'AcDbLinetypeTableRecord', handle, owner, name);
+    add(3, description, 72, 65, 73, 0, 40, format(0));
+  };
+  const addLayer = (name) => (handle, owner) => {
+    addRecord('LAYER', 'AcDbLayerTableRecord', handle, owner, name);
+    // white, continuous and the default line weight
+    add(62, 7, 6, 'Continuous', 370, -3);
+  };
+
+  // tables
+  add(0, 'SECTION', 2, 'TABLES');
+  addTable('VPORT', []);
+  addTable('LTYPE', [
+    addLineType('ByBlock', ''),
+    addLineType('ByLayer', ''),
+    addLineType('Continuous', 'Solid line'),
+  ]);
+  addTable('LAYER', [
+    addLayer('0'),
+    ...paths.map(({ layer }) => addLayer(layer)),
+  ]);
+  let styleHandle;
+  addTable('STYLE', [
+    (handle, owner) => {
+      styleHandle = handle;
+      addRecord('STYLE', 'AcDbTextStyleTableRecord', handle, owner, 'Standard');
+      add(40, format(0), 41, format(1), 50, format(0), 71, 0);
+      add(42, format(2.5), 3, 'txt', 4, '');
+    },
+  ]);
+  addTable('VIEW', []);
+  addTable('UCS', []);
+  addTable('APPID', [
+    (handle, owner) =>
+      addRecord('APPID', 'AcDbRegAppTableRecord', handle, owner, 'ACAD'),
+  ]);
+  addTable(
+    'DIMSTYLE',
+    [
+      (handle, owner) => {
+        addRecord(
+          'DIMSTYLE',
+          'AcDbDimStyleTableRecord',
+          handle,
+          owner,
+          'Standard'
+        );
+        add(340, styleHandle);
+      },
+    ],
+    'AcDbDimStyleTable'
+  );
+  // model space holds the entities and paper space stays empty
+  const blockRecords = {};
+  addTable(
+    'BLOCK_RECORD',
+    ['*Model_Space', '*Paper_Space'].map((name) => (handle, owner) => {
+      blockRecords[name] = handle;
+      addRecord('BLOCK_RECORD', 'AcDbBlockTableRecord', handle, owner, name);
+    })
+  );
+  add(0, 'ENDSEC');
+
+  // blocks
+  add(0, 'SECTION', 2, 'BLOCKS');
+  Object.entries(blockRecords).forEach(([name, owner]) => {
+    add(0, 'BLOCK', 5, createHandle(), 330, owner);
+    add(100, 'AcDbEntity', 8, '0', 100, 'AcDbBlockBegin', 2, name, 70, 0);
+    addPoint({ x: 0, y: 0 });
+    add(3, name, 1, '');
+    add(0, 'ENDBLK', 5, createHandle(), 330, owner);
+    add(100, 'AcDbEntity', 8, '0', 100, 'AcDbBlockEnd');
+  });
+  add(0, 'ENDSEC');
+
+  // entities
+  add(0, 'SECTION', 2, 'ENTITIES');
+  paths.forEach(({ layer, segments, points, closed }) => {
+    const type = segments ? 'SPLINE' : 'LWPOLYLINE';
+    add(0, type, 5, createHandle(), 330, blockRecords['*Model_Space']);
+    add(100, 'AcDbEntity', 8, layer);
+
+    if (segments) {
+      // the segments are joined into one clamped cubic b-spline; each joint
+      // repeats its knot three times so that the curve passes through it
+      const controlPoints = [
+        segments[0][0],
+        ...segments.flatMap(([, control1, control2, end]) => [
+          control1,
+          control2,
+          end,
+        ]),
+      ];
+      const knots = [0, 0, 0, 0];
+      for (let i = 1; i < segments.length; i++) {
+        knots.push(i, i, i);
+      }
+      knots.push(
+        segments.length,
+        segments.length,
+        segments.length,
+        segments.length
+      );
+
+      add(100, 'AcDbSpline');
+      // planar, in the xy plane
+      add(210, format(0), 220, format(0), 230, format(1), 70, 8);
+      add(71, 3, 72, knots.length, 73, controlPoints.length, 74, 0);
+      knots.forEach((knot) => add(40, knot));
+      controlPoints.forEach(addPoint);
+      return;
+    }
+
+    add(100, 'AcDbPolyline', 90, points.length, 70, closed ? 1 : 0);
+    points.forEach(({ x, y }) => add(10, format(x), 20, format(y)));
+  });
+  add(0, 'ENDSEC');
+
+  // objects; the root dictionary with the dictionary of groups
+  const rootHandle = createHandle();
+  const groupsHandle = createHandle();
+  add(0, 'SECTION', 2, 'OBJECTS');
+  add(0, 'DICTIONARY', 5, rootHandle, 330, 0, 100, 'AcDbDictionary');
+  add(281, 1, 3, 'ACAD_GROUP', 350, groupsHandle);
+  add(0, 'DICTIONARY', 5, groupsHandle, 330, rootHandle);
+  add(100, 'AcDbDictionary', 281, 1);
+  add(0, 'ENDSEC', 0, 'EOF');
+
+  // the header comes first, but the handle seed is only known at the end
+  const header = [];
+  const addHeader = (...pairs) => header.push(...pairs.map(String));
+  addHeader(0, 'SECTION', 2, 'HEADER');
+  addHeader(9, '$ACADVER', 1, 'AC1015');
+  addHeader(9, '$HANDSEED', 5, (lastHandle + 1).toString(16).toUpperCase());
+  addHeader(9, '$INSUNITS', 70, unitCodes[units] ?? 0);
+  addHeader(0, 'ENDSEC');
+  addHeader(0, 'SECTION', 2, 'CLASSES', 0, 'ENDSEC');
+
+  return header.concat(groupCodes).join('\n');
+}
@@ -0,0 +1,192 @@
+'use strict';
+
+import { getCubicPoint, getFlatCubicParams } from './bezier';
+
+// using string values to make these compatible with input value properties
+export const GCodeUnits = {
+  MILLIMETERS: 'mm',
+  INCHES: 'in',
+};
+
+export const GCodeCurves = {
+  // flattened into straight G1 moves
+  LINES: 'lines',
+  // G5 cubic splines, which not every controller supports
+  SPLINES: 'splines',
+};
+
+export const GCodeTools = {
+  // custom commands lift and lower the pen, or turn a laser off and on
+  PEN: 'pen',
+  // the spindle runs throughout and the tool plunges to cut
+  SPINDLE: 'spindle',
+};
+
+// writes a program that draws the toolpaths in order; each toolpath is a list
+// of cubic segments as [start, control1, control2, end] in machine units
+export function getGCode(toolpaths, settings, precision) {
+  const {
+    units,
+    curves,
+    tolerance,
+    feedRate,
+    tool,
+    penUp,
+    penDown,
+    spindleSpeed,
+    safeZ,
+    cutZ,
+    plungeRate,
+  } = settings;
+  const format = (value) => {
+    const fixed = Number(value).toFixed(precision);
+    // avoid writing negative zero
+    return Number(fixed) === 0 ? (0).toFixed(precision) : fixed;
+  };
+  const position = ({ x, y }) => `X${format(x)} Y${format(y)}`;
+
+  const lift =
+    tool === GCodeTools.SPINDLE
+      ? [`G0 Z${format(safeZ)}`]
+      : splitCommands(penUp);
+  const lower =
+    tool === GCodeTools.SPINDLE
+      ? [`G1 Z${format(cutZ)} F${format(plungeRate)}`]
+      : splitCommands(penDown);
+
+  const lines = [
+    units === GCodeUnits.INCHES ? 'G20 ; inches' : 'G21 ; millimeters',
+    'G90 ; absolute positioning',
+  ];
+
+  if (curves === GCodeCurves.SPLINES) {
+    lines.push('G17 ; splines are drawn in the xy plane');
+  }
+  if (tool === GCodeTools.SPINDLE) {
+    lines.push(lift[0], `M3 S${format(spindleSpeed)} ; start the spindle`);
+  } else {
+    lines.push(...lift);
+  }
+
+  toolpaths.forEach((segments, i) => {
+    lines.push(`; path ${i + 1}`, `G0 ${position(segments[0][0])}`, ...lower);
+
+    // lowering may have changed the feed rate, so the first move sets it again
+    let feed = ` F${format(feedRate)}`;
+
+    segments.forEach(([start, control1, control2, end]) => {
+      if (curves === GCodeCurves.SPLINES) {
+        // the control points are given as offsets from their end points
+        lines.push(
+          [
+            'G5',
+            `I${format(control1.x - start.x)}`,
+            `J${format(control1.y - start.y)}`,
+            `P${format(control2.x - end.x)}`,
+            `Q${format(control2.y - end.y)}`,
+            position(end),
+          ].join(' ') + feed
+        );
+        feed = '';
+        return;
+      }
+
+      // the first piece starts at the current position
+      const params = getFlatCubicParams(
+        start,
+        control1,
+        control2,
+        end,
+        Math.max(Number(tolerance), 1e-4)
+      )
+        .slice(1)
+        .concat(1);
+
+      params.forEach((t) => {
+        lines.push(
+          `G1 ${position(getCubicPoint(start, control1, control2, end, t))}` +
+            feed
+        );
+        feed = '';
+      });
+    });
+
+    lines.push(...lift);
+  });
+
+  if (tool === GCodeTools.SPINDLE) {
+    lines.push('M5 ; stop the spindle');
+  }
+  lines.push(`G0 ${position({ x: 0, y: 0 })} ; return to the origin`, 'M2');
+
+  return lines.join('\n');
+}
+
+// orders the paths so that the travel between them is short, starting from
+// the given position; open paths may be drawn backwards and closed paths may
+// start at any of their points
+export function orderToolpaths(paths, start) {
+  const remaining = paths.slice();
+  const ordered = [];
+  let position = start;
+
+  while (remaining.length > 0) {
+    let best = null;
+
+    remaining.forEach((path, index) => {
+      getToolpathStarts(path).forEach(({ x, y }, startIndex) => {
+        const distance = Math.hypot(x - position.x, y - position.y);
+
+        if (!best || distance < best.distance) {
+          best = { index, startIndex, distance };
+        }
+      });
+    });
+
+    // only the chosen path is rearranged
+    const [path] = remaining.splice(best.index, 1);
+    const segments = getToolpathFrom(path, best.startIndex);
+    ordered.push(segments);
+
+    const lastSegment = segments[segments.length - 1];
+    position = lastSegment[3];
+  }
+
+  return ordered;
+}
+
+// returns the positions a path can be drawn from with the same result
+function getToolpathStarts({ segments, closed }) {
+  if (closed) {
+    return segments.map(([start]) => start);
+  }
+  return [segments[0][0], segments[segments.length - 1][3]];
+}
+
+// returns the segments of the path drawn from the start with the given index
+function getToolpathFrom({ segments, closed }, startIndex) {
+  if (closed) {
+    return segments.slice(startIndex).concat(segments.slice(0, startIndex));
+  }
+  if (startIndex === 0) {
+    return segments;
+  }
+
+  return segments
+    .slice()
+    .reverse()
+    .map(([start, control1, control2, end]) => [
+      end,
+      control2,
+      control1,
+      start,
+    ]);
+}
+
+// custom commands may span several lines
+function splitCommands(commands) {
+  return String(commands)
+    .split('\n')
+    .map((command) => command.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,115 @@
+'use strict';
+
+import { getRGBColor } from './color';
+
+// version of the lottie format the animation is written for
+const lottieVersion = '5.7.4';
+
+// writes an animation with a shape layer for each shape; each shape lists its
+// vertices with the in and out tangents relative to them, like the lottie path
+// itself, and the trim path draws every shape on over the whole duration
+export function getLottie(shapes, settings) {
+  const {
+    width,
+    height,
+    strokeColor,
+    strokeWidth,
+    trimPath,
+    duration,
+    frameRate,
+    precision,
+  } = settings;
+  const round = (value) => Number(value.toFixed(precision));
+  const toArray = ({ x, y }) => [round(x), round(y)];
+  const frames = Math.max(Math.round(duration * frameRate), 1);
+  const [red, green, blue] = getRGBColor(strokeColor) ?? [0, 0, 0];
+
+  const getStatic = (value) => ({ a: 0, k: value });
+  const transform = {
+    o: getStatic(100),
+    r: getStatic(0),
+    p: getStatic([0, 0, 0]),
+    a: getStatic([0, 0, 0]),
+    s: getStatic([100, 100, 100]),
+  };
+
+  const layers = shapes.map(
+    ({ name, vertices, inTangents, outTangents, closed }, i) => {
+      const items = [
+        {
+          ty: 'sh',
+          nm: 'Path',
+          ks: getStatic({
+            i: inTangents.map(toArray),
+            o: outTangents.map(toArray),
+            v: vertices.map(toArray),
+            c: closed,
+          }),
+        },
+        {
+          ty: 'st',
+          nm: 'Stroke',
+          c: getStatic([red, green, blue, 1].map(round)),
+          o: getStatic(100),
+          w: getStatic(round(strokeWidth)),
+          // round caps and joins
+          lc: 2,
+          lj: 2,
+        },
+      ];
+
+      if (trimPath) {
+        items.push({
+          ty: 'tm',
+          nm: 'Trim Paths',
+          s: getStatic(0),
+          // the end of the trimmed path eases from 0% to 100%
+          e: {
+            a: 1,
+            k: [
+              {
+                t: 0,
+                s: [0],
+                i: { x: [0.667], y: [1] },
+                o: { x: [0.333], y: [0] },
+              },
+              { t: frames, s: [100] },
+            ],
+          },
+          o: getStatic(0),
+          m: 1,
+        });
+      }
+      items.push({ ty: 'tr', nm: 'Transform', ...transform });
+
+      return {
+        ddd: 0,
+        ind: i + 1,
+        ty: 4,
+        nm: name,
+        sr: 1,
+        ks: transform,
+        ao: 0,
+        shapes: [{ ty: 'gr', nm: name, it: items }],
+        ip: 0,
+        op: frames,
+        st: 0,
+        bm: 0,
+      };
+    }
+  );
+
+  return {
+    v: lottieVersion,
+    fr: frameRate,
+    ip: 0,
+    op: frames,
+    w: round(width),
+    h: round(height),
+    nm: 'Curves',
+    ddd: 0,
+    assets: [],
+    // the first layer is drawn on top
+    layers: layers.reverse(),
+  };
+}
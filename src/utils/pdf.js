@@ -0,0 +1,91 @@
+'use strict';
+
+import { getRGBColor } from './color';
+
+// using string values to make these compatible with input value properties
+export const PageUnits = {
+  MILLIMETERS: 'mm',
+  INCHES: 'in',
+};
+
+// pdf user space is measured in points
+const pointsPerUnit = {
+  [PageUnits.MILLIMETERS]: 72 / 25.4,
+  [PageUnits.INCHES]: 72,
+};
+
+// writes a single page pdf that strokes each path; the page size, stroke width
+// and the cubic segments are given in page units, measured from the top left
+// corner of the page like on the canvas
+export function getPDF(paths, page, precision) {
+  const { units, width, height, strokeWidth, strokeColor } = page;
+  const scale = pointsPerUnit[units] ?? pointsPerUnit[PageUnits.MILLIMETERS];
+  const pageWidth = width * scale;
+  const pageHeight = height * scale;
+
+  const format = (value) => {
+    const fixed = value.toFixed(precision);
+    // avoid writing negative zero
+    return Number(fixed) === 0 ? (0).toFixed(precision) : fixed;
+  };
+  // the y axis of pdf user space points up from the bottom of the page
+  const position = ({ x, y }) =>
+    `${format(x * scale)} ${format(pageHeight - y * scale)}`;
+
+  const operators = [
+    'q',
+    `${format(strokeWidth * scale)} w`,
+    `${getPDFColor(strokeColor)} RG`,
+  ];
+  paths.forEach(({ segments, closed }) => {
+    operators.push(`${position(segments[0][0])} m`);
+    segments.forEach(([, control1, control2, end]) => {
+      operators.push(
+        `${position(control1)} ${position(control2)} ${position(end)} c`
+      );
+    });
+    operators.push(closed ? 's' : 'S');
+  });
+  operators.push('Q');
+  const content = operators.join('\n');
+  const mediaBox = [0, 0, pageWidth, pageHeight].map(format).join(' ');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [${mediaBox}] /Resources << >> /Contents 4 0 R >>`,
+    // the content is ascii, so its length in characters is its length in bytes
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+
+  // the cross-reference table lists the byte offset of each object
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+
+  pdf += [
+    'xref',
+    `0 ${objects.length + 1}`,
+    // each entry is exactly 20 bytes, including the line ending
+    '0000000000 65535 f ',
+    ...offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    xrefOffset,
+    '%%EOF',
+  ].join('\n');
+
+  return `${pdf}\n`;
+}
+
+// returns the rgb operands of a color; colors that aren't hex are black
+function getPDFColor(color) {
+  return (getRGBColor(color) ?? [0, 0, 0])
+    .map((component) => Number(component.toFixed(3)))
+    .join(' ');
+}
@@ -0,0 +1,628 @@
+'use strict';
+
+import { lerpPoint } from './bezier';
+import {
+  applyMatrix,
+  identityMatrix,
+  multiplyMatrices,
+  rotationMatrix,
+  scalingMatrix,
+  translationMatrix,
+} from './transform';
+
+// elements whose children are drawn; everything else that isn't a shape, like
+// defs, masks and clip paths, is skipped
+const containerTags = ['svg', 'g', 'a'];
+const shapeTags = [
+  'path',
+  'rect',
+  'circle',
+  'ellipse',
+  'line',
+  'polyline',
+  'polygon',
+];
+// distance below which the end of a subpath counts as its start
+const closeEpsilon = 1e-6;
+
+const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+const argumentCounts = {
+  m: 2,
+  l: 2,
+  h: 1,
+  v: 1,
+  c: 6,
+  s: 4,
+  q: 4,
+  t: 2,
+  a: 7,
+  z: 0,
+};
+
+// parses an svg document; returns every path and basic shape in it, in
+// document order, each as a list of subpaths made of cubic segments and named
+// after the id of the element
+export function parseSVG(text) {
+  const svgDocument = new DOMParser().parseFromString(text, 'image/svg+xml');
+  const root = svgDocument.documentElement;
+
+  if (
+    svgDocument.getElementsByTagName('parsererror').length > 0 ||
+    root.localName !== 'svg'
+  ) {
+    throw new Error('The file is not a valid SVG document.');
+  }
+
+  const paths = [];
+  collectPaths(root, identityMatrix, paths, true);
+
+  return paths;
+}
+
+// parses svg path data; returns its subpaths, each with the points, the
+// control points of the cubic segments between them and whether it's closed;
+// a closed subpath has one more segment joining the last point to the first
+export function parsePathData(data) {
+  const scanner = createScanner(data);
+  const subpaths = [];
+  let subpath = null;
+  let current = { x: 0, y: 0 };
+  let start = current;
+  // the last control points, which s and t reflect
+  let lastCubicControl = null;
+  let lastQuadControl = null;
+  let command = null;
+
+  const moveTo = (point) => {
+    subpath = { points: [point], controls: [], closed: false };
+    subpaths.push(subpath);
+    current = point;
+    start = point;
+  };
+  const cubicTo = (control1, control2, point) => {
+    // drawing after a close starts a new subpath from the same point
+    if (!subpath || subpath.closed) {
+      moveTo(current);
+    }
+
+    subpath.controls.push([control1, control2]);
+    subpath.points.push(point);
+    current = point;
+  };
+  const lineTo = (point) => {
+    cubicTo(
+      lerpPoint(current, point, 1 / 3),
+      lerpPoint(current, point, 2 / 3),
+      point
+    );
+  };
+  const quadTo = (control, point) => {
+    cubicTo(
+      lerpPoint(current, control, 2 / 3),
+      lerpPoint(point, control, 2 / 3),
+      point
+    );
+  };
+
+  while (scanner.hasMore()) {
+    if (scanner.hasCommand()) {
+      command = scanner.readCommand();
+    } else if (!command || command.toLowerCase() === 'z') {
+      throw new Error(
+        `Expected a path command at position ${scanner.position()}.`
+      );
+    }
+
+    const type = command.toLowerCase();
+    const relative = command !== command.toUpperCase();
+    const args = [];
+
+    for (let i = 0; i < argumentCounts[type]; i++) {
+      // the large arc and sweep arguments are flags, which may be packed
+      args.push(
+        type === 'a' && (i === 3 || i === 4)
+          ? scanner.readFlag()
+          : scanner.readNumber()
+      );
+    }
+
+    // converts the argument pair at i to an absolute point
+    const point = (i) => ({
+      x: args[i] + (relative ? current.x : 0),
+      y: args[i + 1] + (relative ? current.y : 0),
+    });
+    let cubicControl = null;
+    let quadControl = null;
+
+    switch (type) {
+      case 'm': {
+        moveTo(point(0));
+        // following pairs are implicit line commands
+        command = relative ? 'l' : 'L';
+        break;
+      }
+      case 'l': {
+        lineTo(point(0));
+        break;
+      }
+      case 'h': {
+        lineTo({ x: args[0] + (relative ? current.x : 0), y: current.y });
+        break;
+      }
+      case 'v': {
+        lineTo({ x: current.x, y: args[0] + (relative ? current.y : 0) });
+        break;
+      }
+      case 'c': {
+        cubicControl = point(2);
+        cubicTo(point(0), cubicControl, point(4));
+        break;
+      }
+      case 's': {
+        cubicControl = point(0);
+        cubicTo(reflect(lastCubicControl, current), cubicControl, point(2));
+        break;
+      }
+      case 'q': {
+        quadControl = point(0);
+        quadTo(quadControl, point(2));
+        break;
+      }
+      case 't': {
+        quadControl = reflect(lastQuadControl, current);
+        quadTo(quadControl, point(0));
+        break;
+      }
+      case 'a': {
+        const end = point(5);
+        // arcs that end where they start are skipped
+        if (end.x === current.x && end.y === current.y) break;
+
+        const cubics = getArcCubics(current, end, ...args.slice(0, 5));
+        // arcs without a radius are straight lines
+        if (cubics.length === 0) {
+          lineTo(end);
+        }
+        cubics.forEach((cubic) => cubicTo(...cubic));
+        break;
+      }
+      case 'z': {
+        // closing a lone move doesn't draw anything
+        if (subpath && !subpath.closed && subpath.controls.length > 0) {
+          closeSubpath(subpath, start);
+        }
+        current = start;
+        break;
+      }
+    }
+
+    lastCubicControl = cubicControl;
+    lastQuadControl = quadControl;
+  }
+
+  // a lone move doesn't draw anything; a closed subpath of a single segment
+  // is left with one point and the segment that closes it
+  return subpaths.filter(({ controls }) => controls.length > 0);
+}
+
+// parses a transform attribute into a matrix
+export function parseTransform(value) {
+  let matrix = identityMatrix;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = pattern.exec(value))) {
+    const [, type, argsString] = match;
+    const args = argsString
+      .trim()
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(Number);
+    let itemMatrix = identityMatrix;
+
+    switch (type) {
+      case 'matrix': {
+        itemMatrix = args.slice(0, 6);
+        break;
+      }
+      case 'translate': {
+        itemMatrix = translationMatrix(args[0], args[1] ?? 0);
+        break;
+      }
+      case 'scale': {
+        itemMatrix = scalingMatrix(args[0], args[1] ?? args[0], {
+          x: 0,
+          y: 0,
+        });
+        break;
+      }
+      case 'rotate': {
+        itemMatrix = rotationMatrix(toRadians(args[0]), {
+          x: args[1] ?? 0,
+          y: args[2] ?? 0,
+        });
+        break;
+      }
+      case 'skewX': {
+        itemMatrix = [1, 0, Math.tan(toRadians(args[0])), 1, 0, 0];
+        break;
+      }
+      case 'skewY': {
+        itemMatrix = [1, Math.tan(toRadians(args[0])), 0, 1, 0, 0];
+        break;
+      }
+    }
+
+    // the transforms in the list apply from right to left
+    matrix = multiplyMatrices(itemMatrix, matrix);
+  }
+
+  return matrix;
+}
+
+function collectPaths(element, parentMatrix, paths, isRoot = false) {
+  const tag = element.localName;
+  if (!containerTags.includes(tag) && !shapeTags.includes(tag)) return;
+  if (element.getAttribute('display') === 'none') return;
+
+  let matrix = parentMatrix;
+
+  if (element.hasAttribute('transform')) {
+    matrix = multiplyMatrices(
+      parseTransform(element.getAttribute('transform')),
+      matrix
+    );
+  }
+  // the viewport of an svg element maps its view box into its own space,
+  // inside of its transform
+  if (tag === 'svg') {
+    const position = isRoot
+      ? identityMatrix
+      : translationMatrix(getLength(element, 'x'), getLength(element, 'y'));
+    matrix = multiplyMatrices(
+      multiplyMatrices(getViewBoxMatrix(element), position),
+      matrix
+    );
+  }
+
+  if (containerTags.includes(tag)) {
+    Array.from(element.children).forEach((child) =>
+      collectPaths(child, matrix, paths)
+    );
+    return;
+  }
+
+  // the subpaths are named after the element
+  const name = element.getAttribute('id') || '';
+  const subpaths = parsePathData(getShapePathData(element)).map(
+    ({ points, controls, closed }) => ({
+      name,
+      points: points.map((point) => applyMatrix(matrix, point)),
+      controls: controls.map((control) =>
+        control.map((point) => applyMatrix(matrix, point))
+      ),
+      closed,
+    })
+  );
+
+  if (subpaths.length > 0) {
+    paths.push(subpaths);
+  }
+}
+
+// returns the path data equivalent of a path or basic shape
+function getShapePathData(element) {
+  const length = (name) => getLength(element, name);
+
+  switch (element.localName) {
+    case 'path': {
+      return element.getAttribute('d') || '';
+    }
+    case 'rect': {
+      const x = length('x');
+      const y = length('y');
+      const width = length('width');
+      const height = length('height');
+      if (width <= 0 || height <= 0) return '';
+
+      // a missing radius takes the value of the other one
+      let rx = element.hasAttribute('rx') ? length('rx') : length('ry');
+      let ry = element.hasAttribute('ry') ? length('ry') : rx;
+      rx = Math.min(Math.max(rx, 0), width / 2);
+      ry = Math.min(Math.max(ry, 0), height / 2);
+
+      if (rx === 0 || ry === 0) {
+        return `M${x} ${y} H${x + width} V${y + height} H${x} Z`;
+      }
+
+      const arc = `A${rx} ${ry} 0 0 1`;
+      return [
+        `M${x + rx} ${y}`,
+        `H${x + width - rx} ${arc} ${x + width} ${y + ry}`,
+        `V${y + height - ry} ${arc} ${x + width - rx} ${y + height}`,
+        `H${x + rx} ${arc} ${x} ${y + height - ry}`,
+        `V${y + ry} ${arc} ${x + rx} ${y} Z`,
+      ].join(' ');
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = length('cx');
+      const cy = length('cy');
+      const rx = element.localName === 'circle' ? length('r') : length('rx');
+      const ry = element.localName === 'circle' ? rx : length('ry');
+      if (rx <= 0 || ry <= 0) return '';
+
+      const arc = `A${rx} ${ry} 0 0 1`;
+      return [
+        `M${cx + rx} ${cy}`,
+        `${arc} ${cx} ${cy + ry}`,
+        `${arc} ${cx - rx} ${cy}`,
+        `${arc} ${cx} ${cy - ry}`,
+        `${arc} ${cx + rx} ${cy} Z`,
+      ].join(' ');
+    }
+    case 'line': {
+      return `M${length('x1')} ${length('y1')} L${length('x2')} ${length(
+        'y2'
+      )}`;
+    }
+    case 'polyline':
+    case 'polygon': {
+      const numbers = (element.getAttribute('points') || '')
+        .trim()
+        .split(/[\s,]+/)
+        .filter(Boolean);
+      // an odd number of coordinates drops the last one
+      const pairs = [];
+      for (let i = 0; i + 1 < numbers.length; i += 2) {
+        pairs.push(`${numbers[i]} ${numbers[i + 1]}`);
+      }
+      if (pairs.length === 0) return '';
+
+      return `M${pairs.join(' L')}${
+        element.localName === 'polygon' ? ' Z' : ''
+      }`;
+    }
+  }
+
+  return '';
+}
+
+// returns the matrix mapping the view box of an svg element to its viewport,
+// following preserveAspectRatio
+function getViewBoxMatrix(element) {
+  const viewBox = (element.getAttribute('viewBox') || '')
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  if (viewBox.length !== 4 || viewBox.some(isNaN)) return identityMatrix;
+
+  const [minX, minY, viewBoxWidth, viewBoxHeight] = viewBox;
+  if (viewBoxWidth <= 0 || viewBoxHeight <= 0) return identityMatrix;
+
+  // without an absolute size the viewport matches the view box
+  const width = getViewportLength(element, 'width') ?? viewBoxWidth;
+  const height = getViewportLength(element, 'height') ?? viewBoxHeight;
+  let scaleX = width / viewBoxWidth;
+  let scaleY = height / viewBoxHeight;
+
+  const [align = 'xMidYMid', meetOrSlice = 'meet'] = (
+    element.getAttribute('preserveAspectRatio') || ''
+  )
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  let offsetX = 0;
+  let offsetY = 0;
+
+  if (align !== 'none') {
+    const scale =
+      meetOrSlice === 'slice'
+        ? Math.max(scaleX, scaleY)
+        : Math.min(scaleX, scaleY);
+    scaleX = scale;
+    scaleY = scale;
+
+    const alignments = { Min: 0, Mid: 0.5, Max: 1 };
+    offsetX = (width - viewBoxWidth * scale) * alignments[align.slice(1, 4)];
+    offsetY = (height - viewBoxHeight * scale) * alignments[align.slice(5, 8)];
+  }
+
+  return [
+    scaleX,
+    0,
+    0,
+    scaleY,
+    offsetX - minX * scaleX,
+    offsetY - minY * scaleY,
+  ];
+}
+
+// returns a viewport size in user units, or null if it's relative
+function getViewportLength(element, name) {
+  const value = (element.getAttribute(name) || '').trim();
+  if (!/^[-+]?[\d.]+(e[-+]?\d+)?(px)?$/i.test(value)) return null;
+
+  const length = parseFloat(value);
+  return length > 0 ? length : null;
+}
+
+function getLength(element, name) {
+  return parseFloat(element.getAttribute(name)) || 0;
+}
+
+// joins the end of the subpath back to its start; when the subpath already
+// ends at its start, its last segment becomes the closing one, which leaves a
+// single segment subpath with one point
+function closeSubpath(subpath, start) {
+  const { points, controls } = subpath;
+  const last = points[points.length - 1];
+
+  if (
+    points.length > 1 &&
+    Math.abs(last.x - start.x) < closeEpsilon &&
+    Math.abs(last.y - start.y) < closeEpsilon
+  ) {
+    points.pop();
+  } else {
+    controls.push([
+      lerpPoint(last, start, 1 / 3),
+      lerpPoint(last, start, 2 / 3),
+    ]);
+  }
+  subpath.closed = true;
+}
+
+// reflects the previous control point around the current point; without one
+// the current point itself is used
+function reflect(control, current) {
+  if (!control) return current;
+
+  return { x: current.x * 2 - control.x, y: current.y * 2 - control.y };
+}
+
+// converts an svg arc to cubic segments of at most a quarter turn each,
+// following the endpoint to center conversion of the svg specification;
+// returns the segments as [control1, control2, end], or none if a radius is 0
+function getArcCubics(start, end, rx, ry, rotation, largeArc, sweep) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) return [];
+
+  const phi = toRadians(rotation);
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+
+  // the midpoint between the ends, in the unrotated frame of the ellipse
+  const dx = (start.x - end.x) / 2;
+  const dy = (start.y - end.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+
+  // scale up radii that are too small to reach between the ends
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  let factor = Math.sqrt(Math.max(numerator, 0) / denominator);
+  if (largeArc === sweep) {
+    factor = -factor;
+  }
+
+  const centerX1 = (factor * rx * y1) / ry;
+  const centerY1 = (-factor * ry * x1) / rx;
+  const center = {
+    x: cos * centerX1 - sin * centerY1 + (start.x + end.x) / 2,
+    y: sin * centerX1 + cos * centerY1 + (start.y + end.y) / 2,
+  };
+
+  const startAngle = Math.atan2((y1 - centerY1) / ry, (x1 - centerX1) / rx);
+  let sweepAngle =
+    Math.atan2((-y1 - centerY1) / ry, (-x1 - centerX1) / rx) - startAngle;
+
+  if (sweep && sweepAngle < 0) {
+    sweepAngle += Math.PI * 2;
+  } else if (!sweep && sweepAngle > 0) {
+    sweepAngle -= Math.PI * 2;
+  }
+
+  const count = Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2) - 1e-9);
+  const step = sweepAngle / count;
+  // the length of the tangents that best approximate each segment
+  const tangent = (4 / 3) * Math.tan(step / 4);
+
+  // returns the point on the ellipse at the angle and its derivative
+  const getEllipsePoint = (angle) => {
+    const x = rx * Math.cos(angle);
+    const y = ry * Math.sin(angle);
+    const derivativeX = -rx * Math.sin(angle);
+    const derivativeY = ry * Math.cos(angle);
+
+    return [
+      {
+        x: center.x + cos * x - sin * y,
+        y: center.y + sin * x + cos * y,
+      },
+      {
+        x: cos * derivativeX - sin * derivativeY,
+        y: sin * derivativeX + cos * derivativeY,
+      },
+    ];
+  };
+
+  const cubics = [];
+  let [point1, derivative1] = getEllipsePoint(startAngle);
+
+  for (let i = 1; i <= count; i++) {
+    const [point2, derivative2] = getEllipsePoint(startAngle + step * i);
+
+    cubics.push([
+      {
+        x: point1.x + derivative1.x * tangent,
+        y: point1.y + derivative1.y * tangent,
+      },
+      {
+        x: point2.x - derivative2.x * tangent,
+        y: point2.y - derivative2.y * tangent,
+      },
+      // land exactly on the end to avoid rounding gaps
+      i === count ? end : point2,
+    ]);
+
+    point1 = point2;
+    derivative1 = derivative2;
+  }
+
+  return cubics;
+}
+
+function createScanner(data) {
+  let index = 0;
+
+  const skipSeparators = () => {
+    while (index < data.length && /[\s,]/.test(data[index])) {
+      index++;
+    }
+  };
+  const fail = (expected) => {
+    throw new Error(`Expected ${expected} at position ${index} of the path.`);
+  };
+
+  return {
+    position: () => index,
+    hasMore: () => {
+      skipSeparators();
+      return index < data.length;
+    },
+    hasCommand: () => {
+      skipSeparators();
+      return /[MmLlHhVvCcSsQqTtAaZz]/.test(data[index] ?? '');
+    },
+    readCommand: () => data[index++],
+    readNumber: () => {
+      skipSeparators();
+      numberPattern.lastIndex = index;
+
+      const match = numberPattern.exec(data);
+      if (!match) fail('a number');
+
+      index = numberPattern.lastIndex;
+      return parseFloat(match[0]);
+    },
+    readFlag: () => {
+      skipSeparators();
+      if (data[index] !== '0' && data[index] !== '1') fail('an arc flag');
+
+      return data[index++] === '1';
+    },
+  };
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
@@ -0,0 +1,60 @@
+'use strict';
+
+// affine matrices are stored as [a, b, c, d, e, f], mapping
+// x' = a * x + c * y + e
+// y' = b * x + d * y + f
+
+export const identityMatrix = [1, 0, 0, 1, 0, 0];
+
+export function translationMatrix(x, y) {
+  return [1, 0, 0, 1, x, y];
+}
+
+// scales around the given origin
+export function scalingMatrix(scaleX, scaleY, origin) {
+  return [
+    scaleX,
+    0,
+    0,
+    scaleY,
+    origin.x - origin.x * scaleX,
+    origin.y - origin.y * scaleY,
+  ];
+}
+
+// rotates around the given origin
+export function rotationMatrix(angle, origin) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return [
+    cos,
+    sin,
+    -sin,
+    cos,
+    origin.x - origin.x * cos + origin.y * sin,
+    origin.y - origin.x * sin - origin.y * cos,
+  ];
+}
+
+// returns the matrix that applies m2 after m1
+export function multiplyMatrices(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+
+  return [
+    a2 * a1 + c2 * b1,
+    b2 * a1 + d2 * b1,
+    a2 * c1 + c2 * d1,
+    b2 * c1 + d2 * d1,
+    a2 * e1 + c2 * f1 + e2,
+    b2 * e1 + d2 * f1 + f2,
+  ];
+}
+
+export function applyMatrix([a, b, c, d, e, f], { x, y }) {
+  return {
+    x: a * x + c * y + e,
+    y: b * x + d * y + f,
+  };
+}
@@ -0,0 +1,101 @@
+'use strict';
+
+// crc-32 lookup table for the reversed polynomial used by zip
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// the file names are utf-8
+const utf8Flag = 0x0800;
+// version 2.0 of the format, which is enough for stored files
+const zipVersion = 20;
+
+// bundles the files into a zip archive; the files are stored uncompressed and
+// each is given as { name, blob }
+export function createZip(files) {
+  return Promise.all(
+    files.map(({ blob }) =>
+      blob.arrayBuffer().then((data) => new Uint8Array(data))
+    )
+  ).then((contents) => {
+    const encoder = new TextEncoder();
+    const [time, date] = getDOSDateTime(new Date());
+    const parts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name }, i) => {
+      const data = contents[i];
+      const nameBytes = encoder.encode(name);
+      const crc = getCRC32(data);
+
+      // the fields shared by the local and central headers
+      const fields = (view, start) => {
+        view.setUint16(start, zipVersion, true);
+        view.setUint16(start + 2, utf8Flag, true);
+        // stored without compression
+        view.setUint16(start + 4, 0, true);
+        view.setUint16(start + 6, time, true);
+        view.setUint16(start + 8, date, true);
+        view.setUint32(start + 10, crc, true);
+        view.setUint32(start + 14, data.length, true);
+        view.setUint32(start + 18, data.length, true);
+        view.setUint16(start + 22, nameBytes.length, true);
+      };
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      fields(local, 4);
+      parts.push(local, nameBytes, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, zipVersion, true);
+      fields(central, 6);
+      central.setUint32(42, offset, true);
+      centralParts.push(central, nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce(
+      (size, part) => size + part.byteLength,
+      0
+    );
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralParts, end], {
+      type: 'application/zip',
+    });
+  });
+}
+
+function getCRC32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// returns the time and date fields of ms-dos timestamps, which count seconds
+// in steps of two and years from 1980
+function getDOSDateTime(date) {
+  return [
+    (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  ];
+}